@@ -22,8 +22,1269 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.
  * @contact : tumin_sfre@outlook.com
  * Copyright 2025 tumin-dosu. All rights reserved.
  */
+
+// オプションページ・ポップアップ・コンテンツスクリプトと共有する設定（SHARED_CONFIG）
+importScripts('shared-config.js');
+
+const CONFIG = {
+  API_BASE_URL: 'https://www.googleapis.com/youtube/v3',
+  CACHE: {
+    KEY_PREFIX: 'videoCache:',
+    // キャッシュのキー → 保存日時。削除するエントリを全件を読まずに決めるために使う
+    INDEX_KEY: 'videoCacheIndex',
+    INDEX_SAVE_DELAY_MS: 1000,
+    EVICTION_CHECK_INTERVAL: 50,
+    // 保存する項目を変えたら上げる。古い形式のエントリは期限切れとして扱う
+    SCHEMA_VERSION: 3,
+    // 配信予定・配信中の動画は開始・終了時刻が変わるため短期間だけ保持する
+    // 再生ページから取得した動画も、APIを使える場合は足りない項目（高評価数など）を取り直すため同じ期間にする
+    VOLATILE_TTL_MS: 10 * 60 * 1000
+  },
+  BATCH: {
+    WINDOW_MS: 50,
+    MAX_IDS: 50 // videos.list が1回で受け付けるIDの上限
+  },
+  // partを増やしてもvideos.listの消費は1ユニットのまま
+  VIDEO_PARTS: 'snippet,contentDetails,statistics,liveStreamingDetails',
+  MAX_CACHED_TAGS: 30,
+  QUOTA: {
+    STORAGE_KEY: 'quotaUsage',
+    // YouTube Data API のクォータは太平洋時間の0時にリセットされる
+    RESET_TIME_ZONE: 'America/Los_Angeles',
+    ENDPOINT_COSTS: {
+      videos: 1,
+      channels: 1,
+      comments: 1,
+      commentThreads: 1,
+      activities: 1,
+      playlistItems: 1,
+      search: 100
+    }
+  },
+  // APIのエラー応答の reason（details[].reason と errors[].reason）と、拡張機能内でのエラー種別の対応
+  API_ERROR_REASONS: {
+    quotaExceeded: 'quotaExceeded',
+    dailyLimitExceeded: 'quotaExceeded',
+    rateLimitExceeded: 'rateLimited',
+    userRateLimitExceeded: 'rateLimited',
+    RATE_LIMIT_EXCEEDED: 'rateLimited',
+    keyInvalid: 'keyInvalid',
+    keyExpired: 'keyInvalid',
+    API_KEY_INVALID: 'keyInvalid',
+    accessNotConfigured: 'accessNotConfigured',
+    SERVICE_DISABLED: 'accessNotConfigured',
+    ipRefererBlocked: 'ipRefererBlocked',
+    API_KEY_HTTP_REFERRER_BLOCKED: 'ipRefererBlocked',
+    API_KEY_IP_ADDRESS_BLOCKED: 'ipRefererBlocked',
+    API_KEY_SERVICE_BLOCKED: 'forbidden'
+  },
+  // reason から判断できない場合はステータスコードで判断する
+  API_ERROR_STATUSES: {
+    400: 'badRequest',
+    403: 'forbidden',
+    429: 'rateLimited'
+  },
+  // キーごとの問題なので、別のキーがあればそちらでやり直すエラー
+  KEY_ERRORS: ['keyInvalid', 'accessNotConfigured', 'ipRefererBlocked', 'forbidden'],
+  // KEY_ERRORS で使えなかったキー（キーID → エラー種別）。キーの登録内容が変わるまで使わない
+  FAILED_KEYS_STORAGE_KEY: 'failedApiKeys',
+  // キーのテストに使う動画（YouTubeに最初に投稿された動画）
+  TEST_VIDEO_ID: 'jNQXAC9IVRw',
+  RATE_LIMIT_DELAY_MS: 100,
+  // オプションの「取得元」ごとに、試す取得元の順番
+  DATA_SOURCES: {
+    auto: ['api', 'page'],
+    api: ['api'],
+    page: ['page']
+  },
+  // このエラーのときは次の取得元で取り直す
+  FALLBACK_ERRORS: ['quotaExceeded', 'softLimitReached'],
+  CONCURRENT_STREAMS: {
+    // 配信予定の枠は開始よりかなり前に作られることがあるため、アクティビティは開始前から広めに探す
+    LOOKBACK_MS: 7 * 24 * 60 * 60 * 1000,
+    MAX_RESULTS: 50,
+    // 投稿の多いチャンネルでもクォータを使いすぎないよう、チャンネルごとに読むページ数の上限
+    MAX_PAGES: 10,
+    CHANNEL_ID_PATTERN: /^UC[\w-]{22}$/
+  },
+  COMMENTS: {
+    MAX_IDS: 50, // comments.list が1回で受け付けるIDの上限
+    MAX_CACHED: 2000
+  },
+  PAGE_DATA: {
+    // カテゴリ名を英語にそろえるため hl=en を付ける
+    WATCH_URL: 'https://www.youtube.com/watch?hl=en&v=',
+    REQUEST_DELAY_MS: 300,
+    // microformat にはカテゴリIDがなく英語のカテゴリ名だけがある
+    CATEGORY_IDS: {
+      'Film & Animation': 1, 'Autos & Vehicles': 2, 'Music': 10, 'Pets & Animals': 15, 'Sports': 17,
+      'Travel & Events': 19, 'Gaming': 20, 'People & Blogs': 22, 'Comedy': 23, 'Entertainment': 24,
+      'News & Politics': 25, 'Howto & Style': 26, 'Education': 27, 'Science & Technology': 28, 'Nonprofits & Activism': 29
+    }
+  },
+  // manifest.json の commands と、コンテンツスクリプトに送るメッセージの対応
+  COMMAND_ACTIONS: {
+    'reveal-visible-dates': 'revealVisibleDates',
+    'toggle-pause': 'togglePause'
+  }
+};
+
+class Utils {
+  static debugLog(isDebug, ...args) {
+    if (isDebug) {
+      console.log('[YTDate Debug]', ...args);
+    }
+  }
+
+  static sanitizeVideoId(videoId) {
+    if (!videoId || typeof videoId !== 'string') return null;
+    // YouTube動画IDの形式をチェック（11文字の英数字、ハイフン、アンダースコア）
+    return /^[A-Za-z0-9_-]{11}$/.test(videoId) ? videoId : null;
+  }
+
+  // fetch 自体が失敗した場合（オフラインかどうかだけ区別する）
+  static getNetworkError() {
+    return navigator.onLine === false ? 'offline' : 'requestFailed';
+  }
+}
+
+class VideoCache {
+  constructor() {
+    this.ttlMs = SHARED_CONFIG.CACHE.DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000;
+    this.maxEntries = SHARED_CONFIG.CACHE.DEFAULT_MAX_ENTRIES;
+    this.memory = new Map();
+    this.index = null; // Promise<{ キー: 保存日時 }>
+    this.indexSaveTimer = null;
+    this.writesSinceCheck = 0;
+    this.isApiAvailable = false;
+    this.isDebugMode = false;
+  }
+
+  configure({ ttlDays, maxEntries, isApiAvailable, debug }) {
+    if (ttlDays > 0) this.ttlMs = ttlDays * 24 * 60 * 60 * 1000;
+    if (maxEntries > 0) this.maxEntries = Math.min(maxEntries, SHARED_CONFIG.CACHE.MAX_ENTRIES_LIMIT);
+    this.isApiAvailable = isApiAvailable || false;
+    this.isDebugMode = debug || false;
+  }
+
+  static storageKey(videoId) {
+    return CONFIG.CACHE.KEY_PREFIX + videoId;
+  }
+
+  // 最初の1回だけ読み込む。索引がない場合（索引を作る前のキャッシュ）は全件から作り直す
+  loadIndex() {
+    if (!this.index) {
+      this.index = chrome.storage.local.get(CONFIG.CACHE.INDEX_KEY)
+        .then(async result => {
+          if (result[CONFIG.CACHE.INDEX_KEY]) return result[CONFIG.CACHE.INDEX_KEY];
+          
+          const all = await chrome.storage.local.get(null);
+          const index = {};
+          Object.entries(all).forEach(([key, entry]) => {
+            if (key.startsWith(CONFIG.CACHE.KEY_PREFIX)) index[key] = entry?.cachedAt || 0;
+          });
+          return index;
+        })
+        .catch(error => {
+          console.error('[YTDate] Cache index read error:', error);
+          return {};
+        });
+    }
+    return this.index;
+  }
+
+  // 続けて保存されることが多いため、索引の書き込みはまとめて行う
+  scheduleIndexSave() {
+    clearTimeout(this.indexSaveTimer);
+    this.indexSaveTimer = setTimeout(() => this.saveIndex(), CONFIG.CACHE.INDEX_SAVE_DELAY_MS);
+  }
+
+  async saveIndex() {
+    clearTimeout(this.indexSaveTimer);
+    const index = await this.loadIndex();
+    try {
+      await chrome.storage.local.set({ [CONFIG.CACHE.INDEX_KEY]: index });
+    } catch (error) {
+      console.error('[YTDate] Cache index write error:', error);
+    }
+  }
+
+  async removeFromIndex(keys) {
+    const index = await this.loadIndex();
+    keys.forEach(key => delete index[key]);
+    this.scheduleIndexSave();
+  }
+
+  isExpired(entry) {
+    if (!entry || !entry.cachedAt || entry.version !== CONFIG.CACHE.SCHEMA_VERSION) return true;
+    const isShortLived = entry.isVolatile || (this.isApiAvailable && (entry.source || entry.details?.source) === 'page');
+    const ttlMs = isShortLived ? Math.min(this.ttlMs, CONFIG.CACHE.VOLATILE_TTL_MS) : this.ttlMs;
+    return Date.now() - entry.cachedAt > ttlMs;
+  }
+
+  // 配信予定・配信中（終了時刻が未確定）の動画かどうか
+  static isVolatile(details) {
+    return details.liveBroadcastContent === 'upcoming' ||
+           details.liveBroadcastContent === 'live' ||
+           (!!details.liveStreaming && !details.liveStreaming.actualEndTime);
+  }
+
+  async get(videoId) {
+    const key = VideoCache.storageKey(videoId);
+    let entry = this.memory.get(key);
+    
+    if (!entry) {
+      try {
+        const result = await chrome.storage.local.get(key);
+        entry = result[key];
+      } catch (error) {
+        console.error('[YTDate] Cache read error:', error);
+        return null;
+      }
+    }
+    
+    if (!entry) return null;
+    
+    if (this.isExpired(entry)) {
+      this.memory.delete(key);
+      chrome.storage.local.remove(key).catch(() => {});
+      this.removeFromIndex([key]);
+      Utils.debugLog(this.isDebugMode, 'キャッシュ期限切れ:', videoId);
+      return null;
+    }
+    
+    this.memory.set(key, entry);
+    Utils.debugLog(this.isDebugMode, 'キャッシュヒット:', videoId);
+    return entry.details;
+  }
+
+  async set(videoId, details) {
+    if (!details?.publishedAt) return;
+    
+    const key = VideoCache.storageKey(videoId);
+    const entry = {
+      details,
+      cachedAt: Date.now(),
+      isVolatile: VideoCache.isVolatile(details),
+      source: details.source,
+      version: CONFIG.CACHE.SCHEMA_VERSION
+    };
+    this.memory.set(key, entry);
+    
+    try {
+      await this.write(key, entry);
+    } catch (error) {
+      // 保存領域の上限に達した場合は、古いエントリを1割減らしてからやり直す
+      console.warn('[YTDate] Cache write failed, evicting old entries:', error);
+      try {
+        const index = await this.loadIndex();
+        await this.evict(Math.floor(Object.keys(index).length * 0.9));
+        await this.write(key, entry);
+      } catch (retryError) {
+        console.error('[YTDate] Cache write error:', retryError);
+      }
+    }
+  }
+
+  async write(key, entry) {
+    await chrome.storage.local.set({ [key]: entry });
+    const index = await this.loadIndex();
+    index[key] = entry.cachedAt;
+    this.scheduleIndexSave();
+    
+    if (++this.writesSinceCheck >= CONFIG.CACHE.EVICTION_CHECK_INTERVAL) {
+      this.writesSinceCheck = 0;
+      await this.evict();
+    }
+  }
+
+  // 期限切れのエントリと上限を超えた古いエントリを、索引の保存日時だけを見て削除する
+  // （配信予定などの短期間のエントリと古い形式のエントリは、読み込んだときに削除される）
+  async evict(limit = this.maxEntries) {
+    const index = await this.loadIndex();
+    const now = Date.now();
+    const keys = Object.keys(index).sort((a, b) => index[a] - index[b]);
+    const expiredKeys = keys.filter(key => now - index[key] > this.ttlMs);
+    const validKeys = keys.filter(key => now - index[key] <= this.ttlMs);
+    const keysToRemove = expiredKeys.concat(validKeys.slice(0, Math.max(0, validKeys.length - limit)));
+    
+    if (keysToRemove.length > 0) {
+      await chrome.storage.local.remove(keysToRemove);
+      keysToRemove.forEach(key => {
+        this.memory.delete(key);
+        delete index[key];
+      });
+      await this.saveIndex();
+      Utils.debugLog(this.isDebugMode, `キャッシュから${keysToRemove.length}件を削除しました`);
+    }
+  }
+
+  async getKeys() {
+    const all = await chrome.storage.local.get(null);
+    return Object.keys(all).filter(key => key.startsWith(CONFIG.CACHE.KEY_PREFIX));
+  }
+
+  async getStats() {
+    const keys = await this.getKeys();
+    const bytes = keys.length > 0 ? await chrome.storage.local.getBytesInUse(keys) : 0;
+    return { entries: keys.length, bytes };
+  }
+
+  async clear() {
+    const keys = await this.getKeys();
+    clearTimeout(this.indexSaveTimer);
+    await chrome.storage.local.remove([...keys, CONFIG.CACHE.INDEX_KEY]);
+    this.memory.clear();
+    this.index = Promise.resolve({});
+    this.writesSinceCheck = 0;
+  }
+}
+
+
+// 1日あたりのクォータ消費量をエンドポイントごとに記録する
+class QuotaTracker {
+  constructor() {
+    this.dailyLimit = SHARED_CONFIG.QUOTA.DAILY_LIMIT;
+    this.softLimit = SHARED_CONFIG.QUOTA.DEFAULT_SOFT_LIMIT;
+    this.usage = null;
+    this.isDebugMode = false;
+    this.writeChain = Promise.resolve();
+  }
+
+  configure({ dailyLimit, softLimit, debug }) {
+    if (dailyLimit > 0) this.dailyLimit = dailyLimit;
+    this.softLimit = softLimit > 0 ? Math.min(softLimit, this.dailyLimit) : Math.min(SHARED_CONFIG.QUOTA.DEFAULT_SOFT_LIMIT, this.dailyLimit);
+    this.isDebugMode = debug || false;
+  }
+
+  static getWallClock(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: CONFIG.QUOTA.RESET_TIME_ZONE,
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    return Object.fromEntries(parts.map(({ type, value }) => [type, value]));
+  }
+
+  static getQuotaDay(date = new Date()) {
+    const { year, month, day } = QuotaTracker.getWallClock(date);
+    return `${year}-${month}-${day}`;
+  }
+
+  // その時刻での太平洋時間とUTCの差（ミリ秒。夏時間は-7時間、それ以外は-8時間）
+  static getTimeZoneOffset(date) {
+    const { year, month, day, hour, minute, second } = QuotaTracker.getWallClock(date);
+    const wallClockMs = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+    return wallClockMs - (date.getTime() - date.getMilliseconds());
+  }
+
+  // 太平洋時間の翌日0時。夏時間が切り替わる日は1日が23・25時間になるため、0時の時点の時差で求める
+  static getNextResetTime(date = new Date()) {
+    const { year, month, day } = QuotaTracker.getWallClock(date);
+    const midnight = Date.UTC(Number(year), Number(month) - 1, Number(day) + 1);
+    const estimate = midnight - QuotaTracker.getTimeZoneOffset(date);
+    return midnight - QuotaTracker.getTimeZoneOffset(new Date(estimate));
+  }
+
+  // keys にはAPIキーごとの使用量と、上限に達したか（リセットまで使わない）を持つ
+  static createEmptyUsage() {
+    return { day: QuotaTracker.getQuotaDay(), total: 0, endpoints: {}, keys: {} };
+  }
+
+  static getKeyUsage(usage, keyId) {
+    usage.keys = usage.keys || {};
+    usage.keys[keyId] = usage.keys[keyId] || { total: 0, exhausted: false };
+    return usage.keys[keyId];
+  }
+
+  async load() {
+    const today = QuotaTracker.getQuotaDay();
+    if (this.usage?.day === today) return this.usage;
+    
+    try {
+      const result = await chrome.storage.local.get(CONFIG.QUOTA.STORAGE_KEY);
+      const stored = result[CONFIG.QUOTA.STORAGE_KEY];
+      this.usage = stored?.day === today ? stored : QuotaTracker.createEmptyUsage();
+    } catch (error) {
+      console.error('[YTDate] Quota usage read error:', error);
+      this.usage = QuotaTracker.createEmptyUsage();
+    }
+    return this.usage;
+  }
+
+  static getCost(endpoint) {
+    return CONFIG.QUOTA.ENDPOINT_COSTS[endpoint] || 1;
+  }
+
+  // 上限はキーごとに判定する（Cloudプロジェクトごとにクォータがあるため）
+  async canSpend(endpoint, keyId) {
+    const keyUsage = QuotaTracker.getKeyUsage(await this.load(), keyId);
+    if (keyUsage.exhausted) return false;
+    return keyUsage.total + QuotaTracker.getCost(endpoint) <= this.softLimit;
+  }
+
+  async isExhausted(keyId) {
+    return QuotaTracker.getKeyUsage(await this.load(), keyId).exhausted;
+  }
+
+  record(endpoint, keyId) {
+    return this.update(usage => {
+      const cost = QuotaTracker.getCost(endpoint);
+      const keyUsage = QuotaTracker.getKeyUsage(usage, keyId);
+      usage.total += cost;
+      usage.endpoints[endpoint] = (usage.endpoints[endpoint] || 0) + cost;
+      keyUsage.total += cost;
+      Utils.debugLog(this.isDebugMode, `クォータ消費: ${endpoint} +${cost} (キー ${keyId}: ${keyUsage.total}, 本日合計 ${usage.total})`);
+    });
+  }
+
+  // 403 quotaExceeded を受けたキーはリセットまで使わない（日付が変わると使用量ごと破棄される）
+  markExhausted(keyId) {
+    return this.update(usage => {
+      QuotaTracker.getKeyUsage(usage, keyId).exhausted = true;
+    });
+  }
+
+  update(mutator) {
+    this.writeChain = this.writeChain.then(async () => {
+      const usage = await this.load();
+      mutator(usage);
+      await chrome.storage.local.set({ [CONFIG.QUOTA.STORAGE_KEY]: usage });
+    }).catch(error => console.error('[YTDate] Quota usage write error:', error));
+    return this.writeChain;
+  }
+
+  // 上限は登録されているキーの数だけ合算して返す。キーの値そのものは含めない
+  // failedKeys で使えないキーは、その理由（CONFIG.KEY_ERRORS）を状態として返す
+  async getUsage(apiKeys = [], failedKeys = {}) {
+    await this.writeChain;
+    const usage = await this.load();
+    const keys = apiKeys.map(({ id, label }) => {
+      const { total, exhausted } = usage.keys?.[id] || { total: 0, exhausted: false };
+      const status = failedKeys[id] || (exhausted ? 'exhausted' : total >= this.softLimit ? 'softLimited' : 'available');
+      return { id, label, total, status };
+    });
+    const keyCount = Math.max(1, keys.length);
+    
+    return {
+      day: usage.day,
+      total: usage.total,
+      endpoints: usage.endpoints,
+      keys,
+      exhausted: keys.length > 0 && keys.every(key => key.status === 'exhausted'),
+      dailyLimit: this.dailyLimit * keyCount,
+      softLimit: this.softLimit * keyCount,
+      resetAt: QuotaTracker.getNextResetTime()
+    };
+  }
+}
+
+// 並行して呼ばれても送信間隔が保たれるよう、先に次の送信時刻を確保する
+class RateLimiter {
+  constructor(delayMs) {
+    this.delayMs = delayMs;
+    this.lastRequestTime = 0;
+  }
+
+  async wait() {
+    const now = Date.now();
+    const sendAt = Math.max(now, this.lastRequestTime + this.delayMs);
+    this.lastRequestTime = sendAt;
+    if (sendAt > now) {
+      await new Promise(resolve => setTimeout(resolve, sendAt - now));
+    }
+  }
+}
+
+// 動画情報の取得元その1：YouTube Data API v3（APIキーが必要）
+// 取得元は fetchVideos(videoIds, onResult) で { results: Map(videoId -> details), error } を返す
+// onResult(videoId, details) は取得できた動画ごとに、全件が揃うのを待たずに呼ぶ
+class DataApiProvider {
+  constructor(quota) {
+    this.quota = quota;
+    this.apiKeys = []; // [{ id, label, key }]
+    this.failedKeys = null; // Promise<{ [keyId]: CONFIG.KEY_ERRORS のいずれか }>
+    this.isDebugMode = false;
+    this.requestCount = 0;
+    this.rateLimiter = new RateLimiter(CONFIG.RATE_LIMIT_DELAY_MS);
+  }
+
+  configure({ apiKeys, debug }) {
+    this.apiKeys = apiKeys;
+    this.isDebugMode = debug || false;
+  }
+
+  // サービスワーカーが停止しても残るよう chrome.storage.local に保存し、最初の1回だけ読み込む
+  loadFailedKeys() {
+    if (!this.failedKeys) {
+      this.failedKeys = chrome.storage.local.get(CONFIG.FAILED_KEYS_STORAGE_KEY)
+        .then(result => result[CONFIG.FAILED_KEYS_STORAGE_KEY] || {})
+        .catch(error => {
+          console.error('[YTDate] Failed key list load error:', error);
+          return {};
+        });
+    }
+    return this.failedKeys;
+  }
+
+  async setFailedKey(keyId, reason) {
+    const failedKeys = await this.loadFailedKeys();
+    if (reason) {
+      failedKeys[keyId] = reason;
+    } else if (keyId in failedKeys) {
+      delete failedKeys[keyId];
+    } else {
+      return;
+    }
+    await chrome.storage.local.set({ [CONFIG.FAILED_KEYS_STORAGE_KEY]: failedKeys });
+  }
+
+  // キーが追加・削除・変更されたときに呼ぶ
+  async clearFailedKeys() {
+    this.failedKeys = Promise.resolve({});
+    await chrome.storage.local.remove(CONFIG.FAILED_KEYS_STORAGE_KEY);
+  }
+
+  isAvailable() {
+    return this.apiKeys.length > 0;
+  }
+
+  // 移行前の youtubeApiKey しかない場合は1件のリストとして扱う
+  static readApiKeys({ youtubeApiKeys, youtubeApiKey }) {
+    if (Array.isArray(youtubeApiKeys)) {
+      return youtubeApiKeys.filter(apiKey => apiKey?.id && apiKey.key);
+    }
+    return youtubeApiKey ? [{ id: SHARED_CONFIG.LEGACY_API_KEY_ID, label: '', key: youtubeApiKey }] : [];
+  }
+
+  // エラー応答の本文から、表示を切り替えるためのエラー種別を求める
+  static async readError(response) {
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      // 本文がJSONでない場合はステータスコードだけで判断する
+    }
+    
+    const reasons = [
+      ...(body?.error?.details || []).map(detail => detail.reason),
+      ...(body?.error?.errors || []).map(item => item.reason)
+    ];
+    const error = reasons.map(reason => CONFIG.API_ERROR_REASONS[reason]).find(Boolean) ||
+      CONFIG.API_ERROR_STATUSES[response.status] ||
+      'requestFailed';
+    return { error, message: body?.error?.message || `HTTP ${response.status}: ${response.statusText}` };
+  }
+
+  // 上限に達していないキーを登録順に探す（このリクエストで失敗したキーは除く）
+  async selectApiKey(endpoint, skippedKeyIds = new Set()) {
+    const candidates = this.apiKeys.filter(apiKey => !skippedKeyIds.has(apiKey.id));
+    for (const apiKey of candidates) {
+      if (await this.quota.canSpend(endpoint, apiKey.id)) {
+        return { apiKey, error: null };
+      }
+    }
+    
+    // すべてAPI側の上限なら quotaExceeded、自分で決めた上限で止めているキーがあれば softLimitReached
+    for (const apiKey of candidates) {
+      if (!(await this.quota.isExhausted(apiKey.id))) {
+        return { apiKey: null, error: 'softLimitReached' };
+      }
+    }
+    return { apiKey: null, error: 'quotaExceeded' };
+  }
+
+  // キーの選択と切り替え、クォータの記録、エラーの判別をまとめて行う
+  async request(endpoint, params) {
+    // 前のリクエストで使えなかったキー（無効・APIが無効・制限で拒否）は、キーの登録内容が変わるまで試さない
+    const failedKeys = await this.loadFailedKeys();
+    const skippedKeyIds = new Set(this.apiKeys.filter(apiKey => failedKeys[apiKey.id]).map(apiKey => apiKey.id));
+    let lastError = [...skippedKeyIds].map(keyId => failedKeys[keyId]).pop() || null;
+    
+    try {
+      // キーが上限に達したり使えなかったりした場合は、次のキーで同じリクエストをやり直す
+      while (skippedKeyIds.size < this.apiKeys.length) {
+        const { apiKey, error } = await this.selectApiKey(endpoint, skippedKeyIds);
+        if (!apiKey) {
+          Utils.debugLog(this.isDebugMode, '使えるAPIキーがないためリクエストを停止しました:', error);
+          return { data: null, error: lastError && lastError !== 'quotaExceeded' ? lastError : error };
+        }
+        
+        await this.rateLimiter.wait();
+        this.requestCount++;
+        this.quota.record(endpoint, apiKey.id);
+        
+        const query = new URLSearchParams({ ...params, key: apiKey.key });
+        Utils.debugLog(this.isDebugMode, `API呼び出し開始 (${this.requestCount}回目, ${endpoint}, キー ${apiKey.label || apiKey.id}):`, params);
+        
+        const response = await fetch(`${CONFIG.API_BASE_URL}/${endpoint}?${query}`);
+        
+        if (!response.ok) {
+          const { error: reason, message } = await DataApiProvider.readError(response);
+          console.warn(`[YTDate] API request failed (${reason}) with key ${apiKey.label || apiKey.id}:`, message);
+          
+          if (reason === 'quotaExceeded') {
+            await this.quota.markExhausted(apiKey.id);
+          } else if (CONFIG.KEY_ERRORS.includes(reason)) {
+            await this.setFailedKey(apiKey.id, reason);
+          } else {
+            return { data: null, error: reason };
+          }
+          skippedKeyIds.add(apiKey.id);
+          lastError = reason;
+          continue;
+        }
+        
+        return { data: await response.json(), error: null };
+      }
+    } catch (error) {
+      console.error(`[YTDate] Error requesting ${endpoint}:`, error);
+      Utils.debugLog(this.isDebugMode, 'API呼び出しエラー:', error);
+      return { data: null, error: Utils.getNetworkError() };
+    }
+    
+    return { data: null, error: lastError || 'quotaExceeded' };
+  }
+
+  static parseVideoItem(item) {
+    const live = item.liveStreamingDetails;
+    const statistics = item.statistics || {};
+    const toNumber = (value) => value === undefined ? null : Number(value);
+    return {
+      publishedAt: item.snippet.publishedAt,
+      title: item.snippet.title,
+      channelTitle: item.snippet.channelTitle || null,
+      duration: item.contentDetails?.duration || null,
+      viewCount: toNumber(statistics.viewCount),
+      likeCount: toNumber(statistics.likeCount),
+      commentCount: toNumber(statistics.commentCount),
+      categoryId: item.snippet.categoryId || null,
+      defaultLanguage: item.snippet.defaultLanguage || null,
+      defaultAudioLanguage: item.snippet.defaultAudioLanguage || null,
+      tags: (item.snippet.tags || []).slice(0, CONFIG.MAX_CACHED_TAGS),
+      fetchedAt: Date.now(),
+      liveBroadcastContent: item.snippet.liveBroadcastContent || 'none',
+      liveStreaming: live ? {
+        scheduledStartTime: live.scheduledStartTime || null,
+        actualStartTime: live.actualStartTime || null,
+        actualEndTime: live.actualEndTime || null
+      } : null,
+      source: 'api'
+    };
+  }
+
+  async fetchVideos(videoIds, onResult = () => {}) {
+    const results = new Map();
+    const { data, error } = await this.request('videos', { id: videoIds.join(','), part: CONFIG.VIDEO_PARTS });
+    if (error) return { results, error };
+    
+    (data.items || []).forEach(item => {
+      const details = DataApiProvider.parseVideoItem(item);
+      results.set(item.id, details);
+      onResult(item.id, details);
+    });
+    
+    const missingIds = videoIds.filter(videoId => !results.has(videoId));
+    Utils.debugLog(this.isDebugMode, 'API呼び出し成功:', {
+      requested: videoIds.length,
+      found: results.size,
+      notFound: missingIds
+    });
+    return { results, error: null };
+  }
+
+  // オプションページの「テスト」ボタン用：実際にAPIを呼び出してキーが使えるかを確かめる
+  async testApiKey(key, keyId) {
+    if (!key || typeof key !== 'string') {
+      return { ok: false, error: 'keyInvalid', message: '' };
+    }
+    
+    try {
+      await this.rateLimiter.wait();
+      if (keyId) this.quota.record('videos', keyId);
+      
+      const response = await fetch(`${CONFIG.API_BASE_URL}/videos?id=${CONFIG.TEST_VIDEO_ID}&part=id&key=${encodeURIComponent(key)}`);
+      if (response.ok) {
+        // Cloud Console 側の設定を直した後など、テストで使えると分かったキーは再び使う
+        if (keyId) await this.setFailedKey(keyId, null);
+        return { ok: true, error: null, message: '' };
+      }
+      
+      const { error, message } = await DataApiProvider.readError(response);
+      if (error === 'quotaExceeded' && keyId) {
+        await this.quota.markExhausted(keyId);
+      } else if (CONFIG.KEY_ERRORS.includes(error) && keyId) {
+        await this.setFailedKey(keyId, error);
+      }
+      return { ok: false, error, message };
+    } catch (error) {
+      console.error('[YTDate] API key test error:', error);
+      return { ok: false, error: Utils.getNetworkError(), message: error.message };
+    }
+  }
+}
+
+// 動画情報の取得元その2：再生ページに埋め込まれている ytInitialPlayerResponse（APIキー不要）
+// 1件ごとにページ全体を読み込むため、APIより遅く、高評価数・コメント数・言語は取得できない
+class PageDataProvider {
+  constructor() {
+    this.isDebugMode = false;
+    this.rateLimiter = new RateLimiter(CONFIG.PAGE_DATA.REQUEST_DELAY_MS);
+  }
+
+  configure({ debug }) {
+    this.isDebugMode = debug || false;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  // タイトルや概要欄に "};var " などが含まれていても途切れないよう、文字列の外の括弧の対応を数えて終わりを探す
+  static extractPlayerResponse(html, debug = false) {
+    const match = /ytInitialPlayerResponse\s*=\s*\{/.exec(html);
+    if (!match) {
+      Utils.debugLog(debug, 'ytInitialPlayerResponse が見つかりません');
+      return null;
+    }
+    
+    const start = match.index + match[0].length - 1;
+    let depth = 0;
+    let inString = false;
+    for (let i = start; i < html.length; i++) {
+      const char = html[i];
+      if (inString) {
+        if (char === '\\') i++;
+        else if (char === '"') inString = false;
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        try {
+          return JSON.parse(html.slice(start, i + 1));
+        } catch (error) {
+          Utils.debugLog(debug, 'ytInitialPlayerResponse を解析できません:', error);
+          return null;
+        }
+      }
+    }
+    Utils.debugLog(debug, 'ytInitialPlayerResponse の終わりが見つかりません');
+    return null;
+  }
+
+  static parsePlayerResponse({ videoDetails = {}, microformat }) {
+    const format = microformat?.playerMicroformatRenderer;
+    const publishedAt = format?.publishDate || format?.uploadDate;
+    if (!publishedAt) return null;
+    
+    // 配信予定の動画では startTimestamp が開始予定時刻になる
+    const live = format.liveBroadcastDetails;
+    const isUpcoming = videoDetails.isUpcoming === true;
+    const lengthSeconds = Number(videoDetails.lengthSeconds || format.lengthSeconds) || 0;
+    const viewCount = videoDetails.viewCount ?? format.viewCount;
+    
+    return {
+      publishedAt,
+      title: videoDetails.title || format.title?.simpleText || '',
+      channelTitle: videoDetails.author || format.ownerChannelName || null,
+      duration: lengthSeconds > 0 ? `PT${lengthSeconds}S` : null,
+      viewCount: viewCount === undefined ? null : Number(viewCount),
+      likeCount: null,
+      commentCount: null,
+      categoryId: CONFIG.PAGE_DATA.CATEGORY_IDS[format.category] || null,
+      defaultLanguage: null,
+      defaultAudioLanguage: null,
+      tags: (videoDetails.keywords || []).slice(0, CONFIG.MAX_CACHED_TAGS),
+      fetchedAt: Date.now(),
+      liveBroadcastContent: live?.isLiveNow ? 'live' : isUpcoming ? 'upcoming' : 'none',
+      liveStreaming: live ? {
+        scheduledStartTime: isUpcoming ? live.startTimestamp || null : null,
+        actualStartTime: isUpcoming ? null : live.startTimestamp || null,
+        actualEndTime: live.endTimestamp || null
+      } : null,
+      source: 'page'
+    };
+  }
+
+  async fetchVideo(videoId) {
+    await this.rateLimiter.wait();
+    
+    const response = await fetch(`${CONFIG.PAGE_DATA.WATCH_URL}${videoId}`, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    
+    // 削除・非公開の動画では別の動画や空のデータが返る
+    const playerResponse = PageDataProvider.extractPlayerResponse(await response.text(), this.isDebugMode);
+    if (playerResponse?.videoDetails?.videoId !== videoId) return null;
+    return PageDataProvider.parsePlayerResponse(playerResponse);
+  }
+
+  // 1件ずつページを読み込むため、全件（最大50件で15秒ほど）を待たずに取得できたものから渡す
+  async fetchVideos(videoIds, onResult = () => {}) {
+    const results = new Map();
+    let error = null;
+    
+    await Promise.all(videoIds.map(async videoId => {
+      try {
+        const details = await this.fetchVideo(videoId);
+        if (details) {
+          results.set(videoId, details);
+          onResult(videoId, details);
+        }
+      } catch (fetchError) {
+        console.error('[YTDate] Error fetching page data:', fetchError);
+        error = Utils.getNetworkError();
+      }
+    }));
+    
+    Utils.debugLog(this.isDebugMode, 'ページデータの取得完了:', {
+      requested: videoIds.length,
+      found: results.size
+    });
+    return { results, error: results.size === 0 ? error : null };
+  }
+}
+
+// 再生中の配信と放送時間が重なる配信を、オプションで登録したチャンネルから探す（コラボ配信の別視点を見つけるため）
+// 検索（100ユニット）ではなく、チャンネルごとのアクティビティ（1ユニット）から候補を集める
+class ConcurrentStreamFinder {
+  constructor(youtubeApi) {
+    this.youtubeApi = youtubeApi;
+    this.channelIds = new Map(); // @ハンドル → チャンネルID
+  }
+
+  get provider() {
+    return this.youtubeApi.providers.api;
+  }
+
+  async find(videoId) {
+    await this.youtubeApi.ready;
+    if (!this.provider.isAvailable()) return { startTime: null, streams: [], error: 'apiRequired' };
+    
+    const { concurrentChannels } = await chrome.storage.sync.get(['concurrentChannels']);
+    const channels = Array.isArray(concurrentChannels) ? concurrentChannels : [];
+    if (channels.length === 0) return { startTime: null, streams: [], error: 'noChannels' };
+    
+    const { details } = await this.youtubeApi.fetchVideoDetails(videoId);
+    const live = details?.liveStreaming;
+    const start = Date.parse(live?.actualStartTime);
+    const end = Date.parse(live?.actualEndTime);
+    if (isNaN(start) || isNaN(end)) return { startTime: null, streams: [], error: 'notArchive' };
+    
+    const candidateIds = new Set();
+    let lastError = null;
+    for (const entry of channels) {
+      const { videoIds, error } = await this.fetchUploads(entry, start, end);
+      videoIds.forEach(id => candidateIds.add(id));
+      lastError = error || lastError;
+    }
+    candidateIds.delete(videoId);
+    
+    // 候補の配信時間はキャッシュと一括取得の仕組みを通して調べる
+    const results = await this.youtubeApi.fetchVideoDetailsBatch([...candidateIds]);
+    const streams = [];
+    results.forEach(({ details: candidate }, candidateId) => {
+      const candidateLive = candidate?.liveStreaming;
+      const candidateStart = Date.parse(candidateLive?.actualStartTime);
+      if (isNaN(candidateStart)) return;
+      // 配信中のものは現在時刻までを配信時間とみなす
+      const candidateEnd = Date.parse(candidateLive.actualEndTime) || Date.now();
+      if (candidateStart >= end || candidateEnd <= start) return;
+      
+      streams.push({
+        videoId: candidateId,
+        title: candidate.title,
+        channelTitle: candidate.channelTitle,
+        actualStartTime: candidateLive.actualStartTime,
+        actualEndTime: candidateLive.actualEndTime
+      });
+    });
+    streams.sort((a, b) => Date.parse(a.actualStartTime) - Date.parse(b.actualStartTime));
+    
+    Utils.debugLog(this.youtubeApi.isDebugMode, '同時刻の配信:', { videoId, candidates: candidateIds.size, streams });
+    return { startTime: live.actualStartTime, streams, error: streams.length === 0 ? lastError : null };
+  }
+
+  async fetchUploads(entry, start, end) {
+    const { channelId, error } = await this.resolveChannelId(entry);
+    if (!channelId) return { videoIds: [], error };
+    
+    // アクティビティは新しい順に返るため、配信の数日前に作られた枠は後ろのページにある
+    const publishedAfter = start - CONFIG.CONCURRENT_STREAMS.LOOKBACK_MS;
+    const videoIds = [];
+    let pageToken = null;
+    for (let page = 0; page < CONFIG.CONCURRENT_STREAMS.MAX_PAGES; page++) {
+      const { data, error: requestError } = await this.provider.request('activities', {
+        part: 'snippet,contentDetails',
+        channelId,
+        publishedAfter: new Date(publishedAfter).toISOString(),
+        publishedBefore: new Date(end).toISOString(),
+        maxResults: CONFIG.CONCURRENT_STREAMS.MAX_RESULTS,
+        ...(pageToken ? { pageToken } : {})
+      });
+      if (requestError) return { videoIds, error: requestError };
+      
+      const items = data?.items || [];
+      items.forEach(item => {
+        const videoId = item.contentDetails?.upload?.videoId;
+        if (videoId) videoIds.push(videoId);
+      });
+      
+      // 最後のページか、探す期間より前まで読み終えたら終わる
+      pageToken = data?.nextPageToken;
+      const oldest = Date.parse(items[items.length - 1]?.snippet?.publishedAt);
+      if (!pageToken || oldest < publishedAfter) break;
+    }
+    return { videoIds, error: null };
+  }
+
+  // 登録はチャンネルID（UC...）か @ハンドル。ハンドルは一度だけIDに変換して覚えておく
+  async resolveChannelId(entry) {
+    if (CONFIG.CONCURRENT_STREAMS.CHANNEL_ID_PATTERN.test(entry)) return { channelId: entry, error: null };
+    if (this.channelIds.has(entry)) return { channelId: this.channelIds.get(entry), error: null };
+    
+    const { data, error } = await this.provider.request('channels', { part: 'id', forHandle: entry });
+    const channelId = data?.items?.[0]?.id || null;
+    if (channelId) this.channelIds.set(entry, channelId);
+    return { channelId, error: error || (channelId ? null : 'channelNotFound') };
+  }
+}
+
+// コメント・返信の投稿日時と編集日時を取得する
+// commentThreads.list は動画単位でしか引けないため、IDで指定できる comments.list を使う（返信のIDもそのまま使える）
+// 取得結果はサービスワーカーが動いている間だけメモリに保持する
+class CommentDateFinder {
+  constructor(youtubeApi) {
+    this.youtubeApi = youtubeApi;
+    this.dates = new Map(); // コメントID → { publishedAt, updatedAt }。削除などで取得できなかったものは null
+  }
+
+  get provider() {
+    return this.youtubeApi.providers.api;
+  }
+
+  // 取得元が「再生ページのデータのみ」の場合はAPIを使わない
+  isAvailable() {
+    return this.youtubeApi.getProviders().includes(this.provider);
+  }
+
+  async find(commentIds) {
+    await this.youtubeApi.ready;
+    if (!this.isAvailable()) return { results: {}, error: 'apiRequired' };
+    
+    const results = {};
+    const missingIds = [];
+    commentIds.forEach(commentId => {
+      if (this.dates.has(commentId)) {
+        results[commentId] = this.dates.get(commentId);
+      } else {
+        missingIds.push(commentId);
+      }
+    });
+    
+    for (let i = 0; i < missingIds.length; i += CONFIG.COMMENTS.MAX_IDS) {
+      const ids = missingIds.slice(i, i + CONFIG.COMMENTS.MAX_IDS);
+      const { data, error } = await this.provider.request('comments', {
+        part: 'snippet',
+        id: ids.join(','),
+        fields: 'items(id,snippet(publishedAt,updatedAt))'
+      });
+      // クォータ切れなどの場合は残りも取得できないため、そこで止める
+      if (error) return { results, error };
+      
+      const items = new Map((data?.items || []).map(item => [item.id, item.snippet]));
+      ids.forEach(commentId => {
+        const snippet = items.get(commentId);
+        const dates = snippet ? { publishedAt: snippet.publishedAt, updatedAt: snippet.updatedAt } : null;
+        this.remember(commentId, dates);
+        results[commentId] = dates;
+      });
+    }
+    
+    Utils.debugLog(this.youtubeApi.isDebugMode, 'コメントの投稿日時:', { requested: commentIds.length, fetched: missingIds.length });
+    return { results, error: null };
+  }
+
+  remember(commentId, dates) {
+    this.dates.set(commentId, dates);
+    if (this.dates.size > CONFIG.COMMENTS.MAX_CACHED) {
+      this.dates.delete(this.dates.keys().next().value);
+    }
+  }
+}
+
+// 全タブ共通のAPIクライアント。取得元の選択・バッチ処理・キャッシュはここだけで管理する
+class YouTubeAPI {
+  constructor() {
+    this.isDebugMode = false;
+    this.dataSource = 'auto';
+    this.cache = new VideoCache();
+    this.quota = new QuotaTracker();
+    this.providers = {
+      api: new DataApiProvider(this.quota),
+      page: new PageDataProvider()
+    };
+    this.pendingQueue = new Map(); // videoId -> resolve
+    this.inFlightRequests = new Map(); // videoId -> Promise
+    this.batchTimer = null;
+    this.ready = this.initializeSettings();
+  }
+
+  async initializeSettings() {
+    try {
+      const result = await chrome.storage.sync.get([
+        'youtubeApiKeys', 'youtubeApiKey', 'dataSource', 'debugMode', 'cacheTtlDays', 'cacheMaxEntries', 'quotaDailyLimit', 'quotaSoftLimit'
+      ]);
+      this.isDebugMode = result.debugMode || false;
+      this.dataSource = CONFIG.DATA_SOURCES[result.dataSource] ? result.dataSource : 'auto';
+      this.providers.api.configure({
+        apiKeys: DataApiProvider.readApiKeys(result),
+        debug: this.isDebugMode
+      });
+      this.providers.page.configure({ debug: this.isDebugMode });
+      this.cache.configure({
+        ttlDays: result.cacheTtlDays,
+        maxEntries: result.cacheMaxEntries,
+        isApiAvailable: this.getProviders().includes(this.providers.api),
+        debug: this.isDebugMode
+      });
+      this.quota.configure({
+        dailyLimit: result.quotaDailyLimit,
+        softLimit: result.quotaSoftLimit,
+        debug: this.isDebugMode
+      });
+      
+      Utils.debugLog(this.isDebugMode, 'API初期化完了', {
+        apiKeyCount: this.providers.api.apiKeys.length,
+        dataSource: this.dataSource,
+        debugMode: this.isDebugMode
+      });
+    } catch (error) {
+      console.error('[YTDate] Settings initialization error:', error);
+    }
+  }
+
+  // 設定された順に、使える取得元だけを返す
+  getProviders() {
+    return CONFIG.DATA_SOURCES[this.dataSource]
+      .map(name => this.providers[name])
+      .filter(provider => provider.isAvailable());
+  }
+
+  async getStatus() {
+    await this.ready;
+    return {
+      hasApiKey: this.providers.api.isAvailable(),
+      canFetch: this.getProviders().length > 0,
+      // コメントの日時はAPIでしか取得できない
+      canFetchComments: this.getProviders().includes(this.providers.api),
+      dataSource: this.dataSource,
+      debugMode: this.isDebugMode
+    };
+  }
+
+  // 結果は { details, error } の形で返す。error はコンテンツスクリプトでの表示に使う
+  async fetchVideoDetails(videoId) {
+    await this.ready;
+    
+    if (this.getProviders().length === 0) {
+      Utils.debugLog(this.isDebugMode, 'APIキーが設定されていません');
+      return { details: null, error: 'noApiKey' };
+    }
+
+    const sanitizedVideoId = Utils.sanitizeVideoId(videoId);
+    if (!sanitizedVideoId) {
+      Utils.debugLog(this.isDebugMode, '無効な動画ID:', videoId);
+      return { details: null, error: null };
+    }
+
+    // 同じ動画の取得が進行中ならその結果を共有する（別タブからの要求も含む）
+    if (this.inFlightRequests.has(sanitizedVideoId)) {
+      return this.inFlightRequests.get(sanitizedVideoId);
+    }
+
+    const request = this.cache.get(sanitizedVideoId)
+      .then(cached => cached ? { details: cached, error: null } : this.enqueueVideoId(sanitizedVideoId))
+      .finally(() => this.inFlightRequests.delete(sanitizedVideoId));
+    
+    this.inFlightRequests.set(sanitizedVideoId, request);
+    return request;
+  }
+
+  async fetchVideoDetailsBatch(videoIds) {
+    const uniqueIds = [...new Set(videoIds)];
+    const results = await Promise.all(uniqueIds.map(videoId => this.fetchVideoDetails(videoId)));
+    return new Map(uniqueIds.map((videoId, index) => [videoId, results[index]]));
+  }
+
+  enqueueVideoId(videoId) {
+    return new Promise(resolve => {
+      this.pendingQueue.set(videoId, resolve);
+      
+      if (this.pendingQueue.size >= CONFIG.BATCH.MAX_IDS) {
+        this.flushQueue();
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flushQueue(), CONFIG.BATCH.WINDOW_MS);
+      }
+    });
+  }
+
+  flushQueue() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    
+    const batch = this.pendingQueue;
+    this.pendingQueue = new Map();
+    if (batch.size === 0) return;
+    
+    // 取得できた動画はその場で返し、残りは取得が終わってから返す
+    const onResult = (videoId, details) => {
+      batch.get(videoId)?.({ details, error: null });
+      batch.delete(videoId);
+    };
+    this.requestVideoBatch(Array.from(batch.keys()), onResult)
+      .then(({ results, error }) => {
+        batch.forEach((resolve, videoId) => resolve({ details: results.get(videoId) || null, error }));
+      })
+      .catch(error => {
+        // 解決しないままにすると inFlightRequests に残り続け、同じ動画の取得が全タブで止まる
+        console.error('[YTDate] Video batch request error:', error);
+        batch.forEach(resolve => resolve({ details: null, error: 'requestFailed' }));
+      });
+  }
+
+  // クォータ切れなどで取得できなかった場合は次の取得元で取り直す
+  async requestVideoBatch(videoIds, onResult = () => {}) {
+    let lastError = null;
+    
+    for (const provider of this.getProviders()) {
+      const { results, error } = await provider.fetchVideos(videoIds, (videoId, details) => {
+        this.cache.set(videoId, details);
+        onResult(videoId, details);
+      });
+      
+      if (!CONFIG.FALLBACK_ERRORS.includes(error)) {
+        return { results, error };
+      }
+      Utils.debugLog(this.isDebugMode, `取得できなかったため次の取得元で取り直します (${error})`);
+      lastError = error;
+    }
+    
+    return { results: new Map(), error: lastError || 'noApiKey' };
+  }
+}
+
+// 単一キーの youtubeApiKey を、ラベル付きで複数登録できる youtubeApiKeys に移行する
+async function migrateLegacyApiKey() {
+  try {
+    const result = await chrome.storage.sync.get(['youtubeApiKeys', 'youtubeApiKey']);
+    if (!result.youtubeApiKey || Array.isArray(result.youtubeApiKeys)) return;
+    
+    await chrome.storage.sync.set({ youtubeApiKeys: DataApiProvider.readApiKeys(result) });
+    await chrome.storage.sync.remove('youtubeApiKey');
+  } catch (error) {
+    console.error('[YTDate] Failed to migrate API key settings:', error);
+  }
+}
+
+const api = new YouTubeAPI();
+const concurrentStreams = new ConcurrentStreamFinder(api);
+const commentDates = new CommentDateFinder(api);
+migrateLegacyApiKey();
+
+// コンテンツスクリプトからもタブごとの一時停止状態を読めるようにする
+chrome.storage.session.setAccessLevel({ accessLevel: 'TRUSTED_AND_UNTRUSTED_CONTEXTS' })
+  .catch(error => console.error('[YTDate] Failed to set session storage access level:', error));
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  chrome.storage.session.remove(`${SHARED_CONFIG.PAUSED_TAB_KEY_PREFIX}${tabId}`);
+});
+
+// ショートカットキーは表示中のタブのコンテンツスクリプトに転送する
+chrome.commands.onCommand.addListener((command, tab) => {
+  const action = CONFIG.COMMAND_ACTIONS[command];
+  if (!action || !tab?.id) return;
+  
+  chrome.tabs.sendMessage(tab.id, { action }).catch(() => {
+    // YouTube以外のタブにはコンテンツスクリプトがないため何もしない
+  });
+});
+
+// 設定が変更されたら読み込み直す（サービスワーカーは常駐しないため都度ストレージが正）
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    // 変更がない値は通知されないため、キーが追加・削除・変更されたときだけ届く
+    if (changes.youtubeApiKeys) api.providers.api.clearFailedKeys();
+    api.ready = api.initializeSettings();
+  }
+});
+
+async function handleMessage(request, sender) {
+  switch (request.action) {
+    case 'getStatus':
+      return api.getStatus();
+    case 'getVideoDetails': {
+      const videoIds = Array.isArray(request.videoIds) ? request.videoIds : [];
+      const results = await api.fetchVideoDetailsBatch(videoIds);
+      const response = { results: {}, error: null };
+      results.forEach(({ details, error }, videoId) => {
+        response.results[videoId] = details;
+        response.error = response.error || error;
+      });
+      return response;
+    }
+    case 'getQuotaUsage':
+      await api.ready;
+      return api.quota.getUsage(api.providers.api.apiKeys, await api.providers.api.loadFailedKeys());
+    case 'getCacheStats':
+      await api.ready;
+      return api.cache.getStats();
+    case 'clearCache':
+      await api.ready;
+      await api.cache.clear();
+      return { success: true };
+    case 'testApiKey':
+      await api.ready;
+      return api.providers.api.testApiKey(request.key, request.keyId);
+    case 'findConcurrentStreams': {
+      const videoId = Utils.sanitizeVideoId(request.videoId);
+      if (!videoId) return { startTime: null, streams: [], error: 'notArchive' };
+      return concurrentStreams.find(videoId);
+    }
+    case 'getCommentDates': {
+      const commentIds = Array.isArray(request.commentIds) ? request.commentIds : [];
+      const validIds = [...new Set(commentIds)].filter(commentId => SHARED_CONFIG.COMMENT_ID_PATTERN.test(commentId));
+      return commentDates.find(validIds);
+    }
+    case 'getTabId':
+      return sender.tab?.id ?? null;
+    case 'getLocaleMessages': {
+      // コンテンツスクリプトの代わりに、指定言語のメッセージファイルを読み込む
+      if (!['ja', 'en'].includes(request.language)) return null;
+      const response = await fetch(chrome.runtime.getURL(`_locales/${request.language}/messages.json`));
+      return response.json();
+    }
+    default:
+      return null;
+  }
+}
+
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
   if (request.action === 'openOptions') {
     chrome.runtime.openOptionsPage();
+    return false;
   }
-});
\ No newline at end of file
+  
+  handleMessage(request, sender)
+    .then(sendResponse)
+    .catch(error => {
+      console.error('[YTDate] Message handling error:', error);
+      sendResponse(null);
+    });
+  return true; // 非同期で応答する
+});
+
+/* Copyright 2025 tumin-dosu. All rights reserved. */
@@ -29,7 +29,13 @@ const CONFIG = {
     CONTAINERS: [
       'ytd-rich-grid-renderer',
       'ytd-watch-next-secondary-results-renderer',
-      'ytd-item-section-renderer'
+      'ytd-item-section-renderer',
+      'ytd-reel-shelf-renderer',
+      'ytd-rich-shelf-renderer',
+      'ytd-playlist-video-list-renderer',
+      'ytd-playlist-panel-renderer',
+      'ytd-grid-renderer',
+      'ytd-shelf-renderer'
     ],
     VIDEO_ELEMENTS: [
       'ytd-rich-item-renderer',
@@ -39,26 +45,72 @@ const CONFIG = {
       'yt-lockup-view-model-wiz',
       'yt-lockup-view-model-wiz--vertical',
       'yt-lockup-view-model-wiz--compact',
-      'yt-lockup-metadata-view-model'
+      'yt-lockup-metadata-view-model',
+      'ytd-reel-item-renderer',
+      'ytm-shorts-lockup-view-model',
+      'ytm-shorts-lockup-view-model-v2',
+      'ytd-playlist-video-renderer',
+      'ytd-playlist-panel-video-renderer'
     ],
-    VIDEO_TITLE: '#video-title, .yt-lockup-metadata-view-model-wiz__title',
-    VIDEO_LINK: 'a[href*="watch?v="]',
-    METADATA_LINE: '#metadata-line span, .yt-content-metadata-view-model-wiz__metadata-row span',
-    DATE_OVERLAY: '.absolute-date-overlay'
+    // 日付を改行して表示する幅の狭いレイアウト
+    COMPACT_ELEMENTS: [
+      'ytd-compact-video-renderer',
+      'ytd-playlist-panel-video-renderer'
+    ],
+    VIDEO_TITLE: '#video-title, .yt-lockup-metadata-view-model-wiz__title, ' +
+      '.shortsLockupViewModelHostMetadataTitle, .shortsLockupViewModelHostOutsideMetadataTitle',
+    VIDEO_LINK: 'a[href*="watch?v="], a[href*="/shorts/"]',
+    METADATA_LINE: '#metadata-line span, .yt-content-metadata-view-model-wiz__metadata-row span, ' +
+      '.shortsLockupViewModelHostMetadataSubhead span, .shortsLockupViewModelHostOutsideMetadataSubhead span, ' +
+      // 再生リストの動画一覧と、再生ページ横の再生リストパネル（パネルは日付がないためチャンネル名の後ろ）
+      '#video-info span, #byline-container #byline',
+    // 再生ページの動画自体の情報（新旧レイアウト）
+    WATCH_INFO: 'ytd-watch-metadata #info-container, ytd-video-primary-info-renderer #info-strings',
+    // ショートの再生ページで表示中の動画のタイトル・チャンネル欄
+    SHORTS_INFO: 'ytd-reel-video-renderer[is-active] yt-reel-metapanel-view-model, ytd-reel-video-renderer[is-active] #metapanel',
+    WATCH_DATE: '.ytdd-watch-date',
+    // 並べ替えツールバーを付ける一覧と、その中で並べ替える動画カード（棚の中のカードは対象外）
+    SORTABLE_CONTAINERS: 'ytd-rich-grid-renderer, ytd-item-section-renderer',
+    SORTABLE_CARDS: 'ytd-rich-item-renderer, ytd-video-renderer, ytd-grid-video-renderer',
+    SHELVES: 'ytd-shelf-renderer, ytd-reel-shelf-renderer, ytd-rich-shelf-renderer, ytd-horizontal-card-list-renderer',
+    // 同時刻の配信パネルを置く場所（関連動画の上。狭い画面で関連動画欄がない場合は動画の下）
+    CONCURRENT_PANEL_ANCHORS: ['ytd-watch-flexy #secondary-inner', 'ytd-watch-flexy #below'],
+    CONCURRENT_PANEL: '.ytdd-concurrent-panel',
+    MAIN_VIDEO: 'video.html5-main-video',
+    // コメント・返信（新旧レイアウト）と、その相対時刻のリンク（href に lc=コメントID を含む）
+    COMMENTS: 'ytd-comment-view-model, ytd-comment-renderer',
+    COMMENT_TIME: '#published-time-text a, .published-time-text a',
+    COMMENT_DATE: '.ytdd-comment-date',
+    DATE_OVERLAY: '.absolute-date-overlay',
+    DATE_TOOLTIP: '.ytdd-date-tooltip'
   },
   TIMING: {
     HOVER_DELAY_MS: 1200,
     DEBOUNCE_DELAY_MS: 300,
+    // YouTubeの遷移イベントが届かず、URLの変化だけで検知した場合に描画を待つ時間
     URL_CHANGE_DELAY_MS: 1000,
     SCROLL_THROTTLE_MS: 100,
     RETRY_DELAY_MS: 500
   },
   ANIMATION_STEPS: [400, 800, 1200],
+  // 日付の表示方法（append: 相対日付の後ろに追加、replace: 相対日付と置き換え、tooltip: ツールチップのみ）
+  OVERLAY_MODES: ['append', 'replace', 'tooltip'],
   RETRY_ATTEMPTS: 3,
+  WATCH_RETRY_ATTEMPTS: 10,
   VIDEO_ID_PATTERNS: [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([a-zA-Z0-9_-]{11})/,
+    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
     /^([a-zA-Z0-9_-]{11})$/
-  ]
+  ],
+  // 並べ替えツールバーを表示するページ（SHARED_CONFIG.SURFACE_PATTERNS のキー）
+  SORT_TOOLBAR_SURFACES: ['search', 'channel'],
+  SORT_ORDERS: ['none', 'newest', 'oldest'],
+  // 同時刻の配信が見つからなかった理由ごとのメッセージ名（ここにないエラーは concurrentFailed）
+  CONCURRENT_ERROR_MESSAGES: {
+    noChannels: 'concurrentNoChannels',
+    apiRequired: 'concurrentApiRequired',
+    notArchive: 'concurrentNotArchive',
+    channelNotFound: 'concurrentChannelNotFound'
+  }
 };
 
 class Utils {
@@ -84,16 +136,80 @@ class Utils {
     return CONFIG.VIDEO_ID_PATTERNS.map(p => url.match(p)).find(m => m)?.[1] || null;
   }
 
+  static isInViewport(element) {
+    const rect = element.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 &&
+      rect.bottom > 0 && rect.top < window.innerHeight &&
+      rect.right > 0 && rect.left < window.innerWidth;
+  }
+
+  static getCurrentSurface() {
+    return Object.keys(SHARED_CONFIG.SURFACE_PATTERNS)
+      .find(surface => SHARED_CONFIG.SURFACE_PATTERNS[surface].test(location.pathname)) || null;
+  }
+
+  // 書式はオプションの設定から YouTubeDateDisplay が差し替える（date-format.js）
+  static dateFormatter = new DateFormatter();
+
   static formatDate(dateString) {
-    if (!dateString) return null;
-    try {
-      const d = new Date(dateString);
-      if (isNaN(d.getTime())) return null;
-      return `${d.getFullYear()}/${String(d.getMonth() + 1).padStart(2, '0')}/${String(d.getDate()).padStart(2, '0')}`;
-    } catch (error) {
-      console.error('[YTDate] Date formatting error:', error);
-      return null;
+    return Utils.dateFormatter.format(dateString);
+  }
+
+  static formatDuration(ms) {
+    if (!(ms >= 0)) return null;
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mmss = `${String(minutes).padStart(hours > 0 ? 2 : 1, '0')}:${String(seconds).padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${mmss}` : mmss;
+  }
+
+  // 動画の種類（投稿・配信済み・配信中・配信予定）に応じた表示文字列を作る
+  static describeVideoDate(details, formatter = Utils.dateFormatter) {
+    if (!details?.publishedAt) return null;
+    
+    const live = details.liveStreaming;
+    const published = formatter.format(details.publishedAt);
+    
+    if (live?.actualStartTime) {
+      const start = formatter.format(live.actualStartTime);
+      if (live.actualEndTime) {
+        const end = formatter.format(live.actualEndTime);
+        const duration = Utils.formatDuration(new Date(live.actualEndTime) - new Date(live.actualStartTime));
+        return {
+          kind: 'streamed',
+          text: I18n.getMessage('dateStreamed', [start, duration]),
+          tooltip: [
+            I18n.getMessage('tooltipStreamStart', start),
+            I18n.getMessage('tooltipStreamEnd', end),
+            I18n.getMessage('tooltipStreamDuration', duration),
+            I18n.getMessage('tooltipPublished', published)
+          ].join('\n')
+        };
+      }
+      return {
+        kind: 'live',
+        text: I18n.getMessage('dateLive', start),
+        tooltip: `${I18n.getMessage('tooltipStreamStart', start)}\n${I18n.getMessage('tooltipPublished', published)}`
+      };
+    }
+    
+    if (live?.scheduledStartTime && details.liveBroadcastContent === 'upcoming') {
+      const scheduled = formatter.format(live.scheduledStartTime);
+      return {
+        kind: 'upcoming',
+        text: I18n.getMessage('dateUpcoming', scheduled),
+        tooltip: `${I18n.getMessage('tooltipScheduled', scheduled)}\n${I18n.getMessage('tooltipPublished', published)}`
+      };
     }
+    
+    if (!published) return null;
+    return {
+      kind: 'uploaded',
+      text: published,
+      tooltip: I18n.getMessage('tooltipUploaded', published)
+    };
   }
 
   static debugLog(isDebug, ...args) {
@@ -109,28 +225,36 @@ class Utils {
   }
 }
 
-class YouTubeAPI {
+// APIの呼び出しはバックグラウンド（background.js）が全タブ分まとめて行う。
+// このクラスはメッセージで問い合わせるだけで、APIキーは保持しない
+class VideoDataClient {
   constructor() {
-    this.apiKey = null;
+    this.hasApiKey = false;
+    this.canFetch = false;
+    this.canFetchComments = false;
     this.isDebugMode = false;
-    this.requestCount = 0;
-    this.lastRequestTime = 0;
-    this.rateLimitDelay = 100; // 100ms間隔でリクエスト制限
-    this.initializeSettings();
+    this.shownErrors = new Set();
   }
 
   async initializeSettings() {
     try {
-      const result = await chrome.storage.sync.get(['youtubeApiKey', 'debugMode']);
-      this.apiKey = result.youtubeApiKey || null;
-      this.isDebugMode = result.debugMode || false;
+      const status = await chrome.runtime.sendMessage({ action: 'getStatus' });
+      this.hasApiKey = status?.hasApiKey || false;
+      // APIキーがなくても、取得元が「自動」「ページから取得」なら動作する
+      this.canFetch = status?.canFetch || false;
+      this.canFetchComments = status?.canFetchComments || false;
+      this.isDebugMode = status?.debugMode || false;
       
       Utils.debugLog(this.isDebugMode, 'API初期化完了', {
-        hasApiKey: !!this.apiKey,
+        hasApiKey: this.hasApiKey,
+        canFetch: this.canFetch,
+        dataSource: status?.dataSource,
         debugMode: this.isDebugMode
       });
       
-      if (!this.apiKey) {
+      // ページ遷移で設定を読み直したときに何度も表示しないよう、ページごとに1度だけ表示する
+      if (!this.canFetch && !this.shownErrors.has('apiKeyMissing')) {
+        this.shownErrors.add('apiKeyMissing');
         this.showAPIKeyRequiredMessage();
       }
     } catch (error) {
@@ -157,8 +281,8 @@ class YouTubeAPI {
     `;
     messageDiv.innerHTML = `
       <strong>YouTube Date Display</strong><br>
-      APIキーが設定されていません。<br>
-      <small>クリックして設定ページを開く</small>
+      ${I18n.getMessage('toastApiKeyMissing')}<br>
+      <small>${I18n.getMessage('toastOpenOptions')}</small>
     `;
     
     messageDiv.addEventListener('click', () => {
@@ -177,74 +301,70 @@ class YouTubeAPI {
   }
 
   async fetchVideoDetails(videoId) {
-    if (!this.apiKey) {
-      Utils.debugLog(this.isDebugMode, 'APIキーが設定されていません');
-      return null;
-    }
+    const results = await this.fetchVideoDetailsBatch([videoId]);
+    return results.get(videoId) || null;
+  }
 
-    const sanitizedVideoId = Utils.sanitizeVideoId(videoId);
-    if (!sanitizedVideoId) {
-      Utils.debugLog(this.isDebugMode, '無効な動画ID:', videoId);
-      return null;
+  async fetchVideoDetailsBatch(videoIds) {
+    const results = new Map();
+    const sanitizedIds = videoIds.map(videoId => Utils.sanitizeVideoId(videoId)).filter(Boolean);
+    if (sanitizedIds.length === 0) {
+      Utils.debugLog(this.isDebugMode, '無効な動画ID:', videoIds);
+      return results;
     }
 
     try {
-      // レート制限の実装
-      const now = Date.now();
-      const timeSinceLastRequest = now - this.lastRequestTime;
-      if (timeSinceLastRequest < this.rateLimitDelay) {
-        await new Promise(resolve => setTimeout(resolve, this.rateLimitDelay - timeSinceLastRequest));
-      }
-      
-      this.lastRequestTime = Date.now();
-      this.requestCount++;
-      
-      const url = `https://www.googleapis.com/youtube/v3/videos?id=${encodeURIComponent(sanitizedVideoId)}&part=snippet&key=${encodeURIComponent(this.apiKey)}`;
-      
-      Utils.debugLog(this.isDebugMode, `API呼び出し開始 (${this.requestCount}回目):`, sanitizedVideoId);
-      
-      const response = await fetch(url);
+      const response = await chrome.runtime.sendMessage({ action: 'getVideoDetails', videoIds: sanitizedIds });
+      if (!response) return results;
       
-      if (!response.ok) {
-        if (response.status === 403) {
-          console.warn('[YTDate] API quota exceeded or invalid key');
-          this.showQuotaExceededMessage();
-          return null;
-        } else if (response.status === 429) {
-          console.warn('[YTDate] Rate limit exceeded');
-          return null;
-        }
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      const item = data.items?.[0];
+      this.handleError(response.error);
+      Object.entries(response.results || {}).forEach(([videoId, details]) => {
+        results.set(videoId, details);
+      });
       
-      if (item) {
-        const result = { 
-          publishedAt: item.snippet.publishedAt, 
-          title: item.snippet.title 
-        };
-        
-        Utils.debugLog(this.isDebugMode, 'API呼び出し成功:', {
-          videoId: sanitizedVideoId,
-          publishedAt: result.publishedAt,
-          title: result.title?.substring(0, 50) + '...'
-        });
-        
-        return result;
-      } else {
-        Utils.debugLog(this.isDebugMode, 'API応答に動画データがありません:', sanitizedVideoId);
-        return null;
-      }
+      Utils.debugLog(this.isDebugMode, '動画情報を取得しました:', Object.fromEntries(results));
     } catch (error) {
       console.error('[YTDate] Error fetching video details:', error);
-      Utils.debugLog(this.isDebugMode, 'API呼び出しエラー:', error);
-      return null;
+    }
+    
+    return results;
+  }
+
+  async findConcurrentStreams(videoId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'findConcurrentStreams', videoId });
+      this.handleError(response?.error);
+      return response || { startTime: null, streams: [], error: 'requestFailed' };
+    } catch (error) {
+      console.error('[YTDate] Error finding concurrent streams:', error);
+      return { startTime: null, streams: [], error: 'requestFailed' };
     }
   }
 
-  showQuotaExceededMessage() {
+  // 結果は コメントID → { publishedAt, updatedAt } の Map（取得できなかったコメントは含まない）
+  async fetchCommentDates(commentIds) {
+    const results = new Map();
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getCommentDates', commentIds });
+      this.handleError(response?.error);
+      Object.entries(response?.results || {}).forEach(([commentId, dates]) => {
+        if (dates) results.set(commentId, dates);
+      });
+    } catch (error) {
+      console.error('[YTDate] Error fetching comment dates:', error);
+    }
+    return results;
+  }
+
+  // 同じ種類のエラーはページごとに1度だけ表示する
+  handleError(error) {
+    if (!SHARED_CONFIG.ERROR_MESSAGES[error] || this.shownErrors.has(error)) return;
+    this.shownErrors.add(error);
+    this.showErrorMessage(error);
+  }
+
+  showErrorMessage(error) {
+    const [message, hint] = SHARED_CONFIG.ERROR_MESSAGES[error];
     const messageDiv = document.createElement('div');
     messageDiv.style.cssText = `
       position: fixed;
@@ -262,8 +382,8 @@ class YouTubeAPI {
     `;
     messageDiv.innerHTML = `
       <strong>YouTube Date Display</strong><br>
-      APIの使用制限に達しました。<br>
-      <small>明日まで待つか、Google Cloud Consoleで制限を増やしてください。</small>
+      ${I18n.getMessage(message)}<br>
+      <small>${I18n.getMessage(hint)}</small>
     `;
     
     document.body.appendChild(messageDiv);
@@ -277,52 +397,94 @@ class YouTubeAPI {
 
   // 外部からAPIキーをリセットする際に使用
   static resetAPIKey() {
-    chrome.storage.sync.remove(['youtubeApiKey'], () => {
+    chrome.storage.sync.remove(['youtubeApiKeys', 'youtubeApiKey'], () => {
       console.log('[YTDate] APIキーがリセットされました');
     });
   }
 }
 
 class DOMManager {
+  static CONTAINER_SELECTOR = CONFIG.SELECTORS.CONTAINERS.join(', ');
+  static VIDEO_ELEMENT_SELECTOR = CONFIG.SELECTORS.VIDEO_ELEMENTS.join(', ');
+
   constructor() {
-    this.processedElements = new Set();
-    this.intersectionObserver = null;
+    this.processedElements = new WeakSet();
+    this.cardObserver = null;
     this.mutationObserver = null;
+    this.listenerController = null;
+  }
+
+  // ホバーとフォーカスはドキュメントの1組のリスナーで受けて、対象の動画タイトルを渡す
+  // （要素ごとにリスナーを付けないため、無限スクロールで外れた要素を保持し続けない）
+  setupDelegatedListeners({ onEnter, onLeave }) {
+    this.listenerController?.abort();
+    this.listenerController = new AbortController();
+    const options = { signal: this.listenerController.signal, passive: true };
+    
+    // タイトル内で子要素の間を移動しただけの場合は無視する
+    document.addEventListener('pointerover', (event) => {
+      const title = this.getTitleFromTarget(event.target);
+      if (title && !title.contains(event.relatedTarget)) onEnter(title);
+    }, options);
+    document.addEventListener('pointerout', (event) => {
+      const title = this.getTitleFromTarget(event.target);
+      if (title && !title.contains(event.relatedTarget)) onLeave(title);
+    }, options);
+    
+    // Tabキーでカード内のリンクにフォーカスしたときもホバーと同じように表示する
+    // （カード内でフォーカスが移動しただけの場合は無視する）
+    document.addEventListener('focusin', (event) => {
+      const { card, title } = this.getCardFromTarget(event.target);
+      if (title && !card.contains(event.relatedTarget)) onEnter(title);
+    }, options);
+    document.addEventListener('focusout', (event) => {
+      const { card, title } = this.getCardFromTarget(event.target);
+      if (title && !card.contains(event.relatedTarget)) onLeave(title);
+    }, options);
+  }
+
+  // 対象にするのは一覧（CONFIG.SELECTORS.CONTAINERS）の中のタイトルだけ
+  getTitleFromTarget(target) {
+    const title = target instanceof Element ? target.closest(CONFIG.SELECTORS.VIDEO_TITLE) : null;
+    return title?.closest(DOMManager.CONTAINER_SELECTOR) ? title : null;
+  }
+
+  getCardFromTarget(target) {
+    const card = target instanceof Element ? target.closest(DOMManager.VIDEO_ELEMENT_SELECTOR) : null;
+    const title = card?.querySelector(CONFIG.SELECTORS.VIDEO_TITLE);
+    return title?.closest(DOMManager.CONTAINER_SELECTOR) ? { card, title } : { card: null, title: null };
   }
 
-  setupIntersectionObserver(callback) {
-    if (this.intersectionObserver) this.intersectionObserver.disconnect();
-    this.intersectionObserver = new IntersectionObserver((entries) => {
+  // 常時表示モード用：動画カードが画面内に入ったら一度だけ通知する
+  setupCardObserver(callback) {
+    if (this.cardObserver) this.cardObserver.disconnect();
+    this.cardObserver = new IntersectionObserver((entries) => {
       entries.forEach(entry => {
-        if (entry.isIntersecting) callback(entry.target);
+        if (entry.isIntersecting) {
+          this.cardObserver.unobserve(entry.target);
+          callback(entry.target);
+        }
       });
-    }, { rootMargin: '50px', threshold: 0.1 });
-    this.observeContainers();
+    }, { rootMargin: '200px', threshold: 0 });
   }
 
-  observeContainers() {
-    const containers = document.querySelectorAll(CONFIG.SELECTORS.CONTAINERS.join(', '));
-    containers.forEach(container => {
-      if (container) {
-        this.intersectionObserver.observe(container);
-      }
-    });
+  observeCard(card) {
+    if (card) this.cardObserver?.observe(card);
   }
 
+  // 追加された要素だけを渡す（ページ内の一覧全体を毎回調べ直さない）
   setupMutationObserver(callback) {
     if (this.mutationObserver) this.mutationObserver.disconnect();
     this.mutationObserver = new MutationObserver((mutations) => {
-      let shouldUpdate = false;
+      const addedElements = [];
       mutations.forEach(mutation => {
-        if (mutation.addedNodes.length > 0) {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === Node.ELEMENT_NODE && this.isRelevantElement(node)) {
-              shouldUpdate = true;
-            }
-          });
-        }
+        mutation.addedNodes.forEach(node => {
+          if (node.nodeType === Node.ELEMENT_NODE && this.isRelevantElement(node)) {
+            addedElements.push(node);
+          }
+        });
       });
-      if (shouldUpdate) callback();
+      if (addedElements.length > 0) callback(addedElements);
     });
     this.mutationObserver.observe(document.body, { 
       childList: true, 
@@ -332,9 +494,11 @@ class DOMManager {
   }
 
   isRelevantElement(element) {
-    return element.matches?.(CONFIG.SELECTORS.CONTAINERS.join(', ')) ||
+    return element.matches?.(DOMManager.CONTAINER_SELECTOR) ||
            element.querySelector?.(CONFIG.SELECTORS.VIDEO_TITLE) ||
-           element.matches?.(CONFIG.SELECTORS.VIDEO_TITLE);
+           element.matches?.(CONFIG.SELECTORS.VIDEO_TITLE) ||
+           element.matches?.(CONFIG.SELECTORS.COMMENTS) ||
+           element.querySelector?.(CONFIG.SELECTORS.COMMENTS);
   }
 
   getVideoIdFromElement(element) {
@@ -349,38 +513,251 @@ class DOMManager {
     return Utils.extractVideoId(link.href);
   }
 
-  processNewElements(container, callback) {
-    if (!container) return;
+  // root（root 自身を含む）の中で、まだ処理していない一覧内のタイトルを渡す
+  processNewElements(root, callback) {
+    if (!root) return;
     
-    const titleElements = container.querySelectorAll(CONFIG.SELECTORS.VIDEO_TITLE);
+    const titleElements = root.matches?.(CONFIG.SELECTORS.VIDEO_TITLE) ? [root] : root.querySelectorAll(CONFIG.SELECTORS.VIDEO_TITLE);
     titleElements.forEach(element => {
-      if (element && !this.processedElements.has(element)) {
-        this.processedElements.add(element);
-        callback(element);
-      }
+      if (this.processedElements.has(element) || !element.closest(DOMManager.CONTAINER_SELECTOR)) return;
+      this.processedElements.add(element);
+      callback(element);
     });
   }
 
+  // 次の processNewElements で、処理済みのタイトルも改めて渡す
+  resetProcessedElements() {
+    this.processedElements = new WeakSet();
+  }
+
   cleanup() {
-    this.intersectionObserver?.disconnect();
+    this.listenerController?.abort();
+    this.listenerController = null;
+    this.cardObserver?.disconnect();
     this.mutationObserver?.disconnect();
-    this.processedElements.clear();
+    this.processedElements = new WeakSet();
+  }
+}
+
+// ホバー中に表示する詳細情報カード（ページ内で1つを使い回す）
+class DetailCard {
+  // videoCategories.list を呼ばずに済むよう、カテゴリ名はメッセージファイルに固定で持っておく
+  static CATEGORY_IDS = [1, 2, 10, 15, 17, 19, 20, 22, 23, 24, 25, 26, 27, 28, 29];
+
+  static getFieldLabel(field) {
+    return I18n.getMessage(`detailField${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+  }
+
+  static getCategoryName(categoryId) {
+    return DetailCard.CATEGORY_IDS.includes(Number(categoryId)) ?
+      I18n.getMessage(`category${categoryId}`) :
+      categoryId;
+  }
+
+  constructor(fields) {
+    this.fields = Array.isArray(fields) && fields.length > 0 ? fields : SHARED_CONFIG.DETAIL_FIELDS;
+    this.element = null;
+    this.owner = null;
+  }
+
+  static parseISODuration(duration) {
+    const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(duration || '');
+    if (!match) return null;
+    const [, days, hours, minutes, seconds] = match.map(value => Number(value) || 0);
+    return (((days * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+  }
+
+  static formatCount(value) {
+    return typeof value === 'number' ? value.toLocaleString() : null;
+  }
+
+  getFieldValue(field, details) {
+    switch (field) {
+      case 'publishedAt': {
+        const exact = new DateFormatter({
+          preset: 'custom',
+          pattern: 'YYYY/MM/DD HH:mm:ss (z)',
+          timeZone: Utils.dateFormatter.timeZone
+        });
+        const start = details.liveStreaming?.actualStartTime;
+        return start ?
+          I18n.getMessage('detailStreamStart', exact.format(start)) :
+          exact.format(details.publishedAt);
+      }
+      case 'duration': {
+        // 配信中・配信予定の動画は P0D が返るため表示しない
+        const ms = DetailCard.parseISODuration(details.duration);
+        return ms ? Utils.formatDuration(ms) : null;
+      }
+      case 'viewCount':
+      case 'likeCount':
+      case 'commentCount':
+        return DetailCard.formatCount(details[field]);
+      case 'category':
+        return details.categoryId ? DetailCard.getCategoryName(details.categoryId) : null;
+      case 'language':
+        return details.defaultAudioLanguage || details.defaultLanguage || null;
+      case 'tags':
+        return details.tags?.length > 0 ? details.tags.join(', ') : null;
+      default:
+        return null;
+    }
+  }
+
+  show(owner, anchor, details) {
+    if (!anchor || !details) return;
+    this.hide();
+    
+    const card = document.createElement('div');
+    card.className = 'ytdd-detail-card';
+    
+    this.fields.forEach(field => {
+      const value = this.getFieldValue(field, details);
+      if (!value) return;
+      
+      const row = document.createElement('div');
+      row.className = 'ytdd-detail-card__row';
+      const label = document.createElement('span');
+      label.className = 'ytdd-detail-card__label';
+      label.textContent = DetailCard.getFieldLabel(field);
+      const text = document.createElement('span');
+      text.className = 'ytdd-detail-card__value';
+      text.textContent = value;
+      row.append(label, text);
+      card.appendChild(row);
+    });
+    
+    if (!card.hasChildNodes()) return;
+    
+    if (details.fetchedAt) {
+      const note = document.createElement('div');
+      note.className = 'ytdd-detail-card__note';
+      note.textContent = I18n.getMessage('detailAsOf', Utils.formatDate(new Date(details.fetchedAt).toISOString()));
+      card.appendChild(note);
+    }
+    
+    const rect = anchor.getBoundingClientRect();
+    card.style.top = `${rect.bottom + window.scrollY + 4}px`;
+    card.style.left = `${Math.max(8, rect.left + window.scrollX)}px`;
+    
+    document.body.appendChild(card);
+    this.element = card;
+    this.owner = owner;
+  }
+
+  // 別のハンドラーが表示したカードは消さない
+  hide(owner = null) {
+    if (owner && owner !== this.owner) return;
+    this.element?.remove();
+    this.element = null;
+    this.owner = null;
+  }
+}
+
+// 投稿（配信開始）からの経過時間に応じて日付やカードに色を付け、古い動画を薄く表示・非表示にする
+// 日付が分かった時点で HoverHandler から呼ばれる（設定は options.js の DEFAULT_AGE_COLORS / DEFAULT_AGE_FILTER を参照）
+class AgeStyler {
+  constructor(ageColors, ageFilter) {
+    this.colors = ageColors?.enabled ? ageColors : null;
+    this.filter = ageFilter?.enabled ? ageFilter : null;
+  }
+
+  // N日・Nか月・N年前の日時（ミリ秒）
+  static getThreshold(value, unit) {
+    const date = new Date();
+    if (unit === 'years') {
+      date.setFullYear(date.getFullYear() - value);
+    } else if (unit === 'months') {
+      date.setMonth(date.getMonth() - value);
+    } else {
+      date.setDate(date.getDate() - value);
+    }
+    return date.getTime();
+  }
+
+  // 配信予定の動画はまだ経過時間がないため対象外
+  static getAgeTime(details) {
+    if (details?.liveBroadcastContent === 'upcoming') return null;
+    const time = Date.parse(details?.liveStreaming?.actualStartTime || details?.publishedAt);
+    return isNaN(time) ? null : time;
+  }
+
+  getBandColor(time) {
+    const band = this.colors.bands
+      .map(({ value, unit, color }) => ({ threshold: AgeStyler.getThreshold(value, unit), color }))
+      .sort((a, b) => b.threshold - a.threshold)
+      .find(({ threshold }) => time >= threshold);
+    return band ? band.color : this.colors.olderColor;
+  }
+
+  apply(container, overlay, details) {
+    const time = AgeStyler.getAgeTime(details);
+    if (!container || time === null) return;
+    
+    if (this.colors) {
+      // 日付の文字を表示しない場合（ツールチップのみ）はカード全体に付ける
+      const target = this.colors.target === 'card' || !overlay ? container : overlay;
+      const color = this.getBandColor(time);
+      if (target && color) {
+        target.classList.add('ytdd-age-tinted');
+        target.style.setProperty('--ytdd-age-color', color);
+      }
+    }
+    
+    this.applyFilter(container, details);
+  }
+
+  isFilteringSurface() {
+    return !!this.filter && this.filter.surfaces.includes(Utils.getCurrentSurface());
+  }
+
+  // 古い動画を薄く表示・非表示にする（日付を表示していないカードにも使う）
+  applyFilter(container, details) {
+    const time = AgeStyler.getAgeTime(details);
+    if (!container || time === null || !this.isFilteringSurface()) return;
+    
+    if (time < AgeStyler.getThreshold(this.filter.value, this.filter.unit)) {
+      container.classList.add(this.filter.action === 'hide' ? 'ytdd-age-hidden' : 'ytdd-age-dimmed');
+    }
+  }
+
+  static clear(container) {
+    if (!container) return;
+    container.classList.remove('ytdd-age-tinted', 'ytdd-age-dimmed', 'ytdd-age-hidden');
+    container.style.removeProperty('--ytdd-age-color');
   }
 }
 
 class HoverHandler {
-  constructor(element, api, debug = false) {
+  // signal が中断されると（YouTubeDateDisplay が処理を止めると）以降のタイマーや取得結果を無視する
+  constructor(element, api, { debug = false, detailCard = null, overlayMode = 'append', ageStyler = null, signal = null } = {}) {
     this.element = element;
     this.api = api;
     this.debug = debug;
+    this.detailCard = detailCard;
+    this.overlayMode = overlayMode;
+    this.ageStyler = ageStyler;
+    this.signal = signal;
+    this.isHovering = false;
     this.apiCallTimer = null;
     this.animationTimers = [];
     this.overlay = null;
-    this.isDestroyed = false;
+    this.dateSpan = null;
+  }
+
+  get isDestroyed() {
+    return !!this.signal?.aborted;
+  }
+
+  // ツールチップのみの表示では取得中の目印がページにないため、常時表示モードで取得中かどうかはハンドラーの状態で判断する
+  get isTooltipPending() {
+    return this.overlayMode === 'tooltip' && !!this.overlay?.classList.contains('is-permanent') &&
+      !this.overlay.classList.contains('is-resolved');
   }
 
   onMouseEnter() {
     if (this.isDestroyed) return;
+    this.isHovering = true;
     
     Utils.debugLog(this.debug, '[ホバー調査 1/4] onMouseEnter: 実行開始');
     
@@ -390,8 +767,9 @@ class HoverHandler {
       return;
     }
     
-    if (container.querySelector(CONFIG.SELECTORS.DATE_OVERLAY)) {
+    if (HoverHandler.isAnnotated(container) || this.isTooltipPending) {
       Utils.debugLog(this.debug, '[ホバー調査] 既に処理済みのため終了');
+      this.showDetailCard();
       return;
     }
     
@@ -412,18 +790,51 @@ class HoverHandler {
     Utils.debugLog(this.debug, '[ホバー調査 4/4] API呼び出しをスケジュールしました');
   }
 
+  // 常時表示モード：ホバー待ちやアニメーションなしで即座に取得する
+  annotate() {
+    if (this.isDestroyed) return false;
+    
+    const container = this.getVideoContainer();
+    if (!container) return false;
+    if (HoverHandler.isAnnotated(container) || this.isTooltipPending) return true;
+    
+    const dateSpan = this.getRelativeDateSpan(container);
+    if (!dateSpan) return false;
+    
+    this.createOverlay(container, dateSpan);
+    if (!this.overlay) return false;
+    
+    // 取得中にマウスが離れても消えないようにする
+    this.overlay.classList.add('is-permanent');
+    this.executeAPICall();
+    return true;
+  }
+
   onMouseLeave() {
+    this.isHovering = false;
+    this.detailCard?.hide(this);
     this.clearTimers();
-    if (this.overlay && !this.overlay.classList.contains('is-permanent')) {
-      this.overlay.remove();
-      this.overlay = null;
-    }
+    if (!this.overlay?.classList.contains('is-permanent')) this.removeOverlay();
+  }
+
+  removeOverlay() {
+    this.overlay?.remove();
+    this.overlay = null;
   }
 
   getVideoContainer() { 
     return this.element?.closest(CONFIG.SELECTORS.VIDEO_ELEMENTS.join(', ')); 
   }
 
+  // 日付を追加したか、ツールチップのみの表示で相対日付に日付を付けたカード
+  static isAnnotated(container) {
+    return !!container.querySelector(`${CONFIG.SELECTORS.DATE_OVERLAY}, ${CONFIG.SELECTORS.DATE_TOOLTIP}`);
+  }
+
+  static isCompactContainer(container) {
+    return !!container && CONFIG.SELECTORS.COMPACT_ELEMENTS.includes(container.tagName.toLowerCase());
+  }
+
   getRelativeDateSpan(container) {
     if (!container) return null;
     
@@ -443,7 +854,10 @@ class HoverHandler {
     
     this.overlay = document.createElement('span');
     this.overlay.className = 'absolute-date-overlay';
+    this.dateSpan = dateSpan;
     this.applyOverlayStyles(container);
+    // ツールチップのみの場合はページに挿入せず、取得中・取得済みの状態を持たせるためだけに使う
+    if (this.overlayMode === 'tooltip') return;
     
     try {
       dateSpan.insertAdjacentElement('afterend', this.overlay);
@@ -453,23 +867,12 @@ class HoverHandler {
     }
   }
 
+  // 見た目は styles.css で指定する（幅の狭いレイアウトでは日付を次の行に表示する）
   applyOverlayStyles(container) {
     if (!this.overlay || !container) return;
     
-    const baseStyles = { 
-      fontFamily: '"Roboto", "Arial", sans-serif', 
-      fontSize: '1.4rem', 
-      fontWeight: '400', 
-      color: 'var(--yt-spec-text-secondary)',
-      opacity: '1'
-    };
-    
-    const isCompact = container.tagName.toLowerCase() === 'ytd-compact-video-renderer';
-    const layoutStyles = isCompact ? 
-      { display: 'block', marginLeft: '0' } : 
-      { display: 'inline', marginLeft: '4px' };
-    
-    Object.assign(this.overlay.style, { ...baseStyles, ...layoutStyles });
+    this.overlay.classList.add(`is-mode-${this.overlayMode}`);
+    this.overlay.classList.toggle('is-compact', this.overlayMode === 'append' && HoverHandler.isCompactContainer(container));
   }
 
   startAnimation() {
@@ -502,44 +905,107 @@ class HoverHandler {
     
     const videoId = DOMManager.prototype.getVideoIdFromElement.call(this, this.element);
     if (!videoId) {
-      this.overlay?.remove();
+      this.removeOverlay();
       return;
     }
     
     if (this.overlay) {
-      this.overlay.textContent = ' (読み込み中...)';
+      // ページ遷移でカードが別の動画に使い回されたかを判断するため
+      this.overlay.dataset.videoId = videoId;
+      this.overlay.textContent = ` ${I18n.getMessage('overlayLoading')}`;
     }
     
     try {
       const videoDetails = await this.api.fetchVideoDetails(videoId);
       if (!this.isDestroyed) {
-        this.updateOverlayWithResult(videoDetails);
+        this.updateOverlayWithResult(videoDetails, videoId);
+        if (this.isHovering) {
+          this.detailCard?.show(this, this.element, videoDetails);
+        }
       }
     } catch (error) {
       console.error('[YTDate] API call error:', error);
-      if (this.overlay && !this.isDestroyed) {
-        this.overlay.remove();
+      if (!this.isDestroyed) {
+        this.removeOverlay();
       }
     }
   }
 
-  updateOverlayWithResult(videoDetails) {
+  updateOverlayWithResult(videoDetails, videoId) {
     if (!this.overlay || this.isDestroyed) return;
     
-    if (videoDetails && videoDetails.publishedAt) {
-      const formattedDate = Utils.formatDate(videoDetails.publishedAt);
-      if (formattedDate) {
-        const container = this.getVideoContainer();
-        const isCompact = container?.tagName.toLowerCase() === 'ytd-compact-video-renderer';
-        
-        this.overlay.textContent = isCompact ? `(${formattedDate})` : `• ${formattedDate}`;
-        this.overlay.title = `実際のアップロード日: ${formattedDate}`;
-        this.overlay.classList.add('is-permanent');
-      } else {
-        this.overlay.remove();
-      }
+    const dateInfo = Utils.describeVideoDate(videoDetails);
+    if (!dateInfo) {
+      this.removeOverlay();
+      return;
+    }
+    
+    this.overlay.classList.add('is-permanent', 'is-resolved', `is-${dateInfo.kind}`);
+    this.overlay.title = dateInfo.tooltip;
+    this.ageStyler?.apply(this.getVideoContainer(), this.overlayMode === 'tooltip' ? null : this.overlay, videoDetails);
+    
+    if (this.overlayMode === 'replace') {
+      // 相対日付は隠し、ツールチップに残す
+      this.overlay.textContent = dateInfo.text;
+      this.overlay.title = `${this.dateSpan.textContent.trim()}\n${dateInfo.tooltip}`;
+      this.dateSpan.classList.add('ytdd-replaced-date');
+    } else if (this.overlayMode === 'tooltip') {
+      // 日付は表示せず、相対日付にカーソルを合わせたときのツールチップにだけ出す
+      this.dateSpan.classList.add('ytdd-date-tooltip');
+      this.dateSpan.dataset.ytddVideoId = videoId;
+      this.dateSpan.title = `${dateInfo.text}\n${dateInfo.tooltip}`;
     } else {
-      this.overlay.remove();
+      this.overlay.textContent = this.overlay.classList.contains('is-compact') ? `(${dateInfo.text})` : `• ${dateInfo.text}`;
+    }
+  }
+
+  // ハンドラーは個別に後片付けしないため、ページに加えた変更をまとめて元に戻す
+  static removeAllAnnotations() {
+    document.querySelectorAll(CONFIG.SELECTORS.DATE_OVERLAY).forEach(overlay => overlay.remove());
+    document.querySelectorAll('.ytdd-replaced-date').forEach(span => span.classList.remove('ytdd-replaced-date'));
+    document.querySelectorAll(CONFIG.SELECTORS.DATE_TOOLTIP).forEach(HoverHandler.removeDateTooltip);
+    document.querySelectorAll('.ytdd-age-tinted, .ytdd-age-dimmed, .ytdd-age-hidden').forEach(AgeStyler.clear);
+  }
+
+  // 表示した後に別の動画に使い回されたカードの日付を取り除き、そのカードを返す
+  static removeStaleAnnotations() {
+    const staleCards = new Set();
+    document.querySelectorAll(CONFIG.SELECTORS.DATE_OVERLAY).forEach(overlay => {
+      const card = overlay.closest(DOMManager.VIDEO_ELEMENT_SELECTOR);
+      if (!card || DOMManager.prototype.getVideoIdFromElement(card) === overlay.dataset.videoId) return;
+      overlay.remove();
+      staleCards.add(card);
+    });
+    document.querySelectorAll('[data-ytdd-video-id]').forEach(span => {
+      const card = span.closest(DOMManager.VIDEO_ELEMENT_SELECTOR);
+      if (!card || DOMManager.prototype.getVideoIdFromElement(card) === span.dataset.ytddVideoId) return;
+      staleCards.add(card);
+    });
+    
+    staleCards.forEach(card => {
+      card.querySelectorAll('.ytdd-replaced-date').forEach(span => span.classList.remove('ytdd-replaced-date'));
+      card.querySelectorAll(CONFIG.SELECTORS.DATE_TOOLTIP).forEach(HoverHandler.removeDateTooltip);
+      AgeStyler.clear(card);
+    });
+    return staleCards;
+  }
+
+  static removeDateTooltip(span) {
+    span.classList.remove('ytdd-date-tooltip');
+    span.removeAttribute('title');
+    delete span.dataset.ytddVideoId;
+  }
+
+  // 日付の取得済みの動画に再度ホバーしたとき（キャッシュから返るためAPIは消費しない）
+  async showDetailCard() {
+    if (!this.detailCard) return;
+    
+    const videoId = DOMManager.prototype.getVideoIdFromElement.call(this, this.element);
+    if (!videoId) return;
+    
+    const videoDetails = await this.api.fetchVideoDetails(videoId);
+    if (this.isHovering && !this.isDestroyed) {
+      this.detailCard.show(this, this.element, videoDetails);
     }
   }
 
@@ -552,110 +1018,1135 @@ class HoverHandler {
     this.animationTimers.forEach(timer => clearTimeout(timer));
     this.animationTimers = [];
   }
+}
 
-  destroy() {
-    this.isDestroyed = true;
-    this.clearTimers();
-    if (this.overlay) {
-      this.overlay.remove();
-      this.overlay = null;
-    }
+// 再生ページ（ショートを含む）で再生中の動画の投稿（配信開始）日時を表示する
+class WatchPageAnnotator {
+  constructor(api) {
+    this.api = api;
+    this.retryTimer = null;
+    this.isDestroyed = false;
   }
-}
 
-class URLObserver {
-  constructor() {
-    this.currentUrl = location.href;
-    this.observer = null;
-    this.setupObserver();
+  static isShortsPage() {
+    return location.pathname.startsWith('/shorts/');
   }
 
-  setupObserver() {
-    this.observer = new MutationObserver(() => {
-      if (location.href !== this.currentUrl) {
-        this.currentUrl = location.href;
-        setTimeout(() => ExtensionManager.reinitialize(), CONFIG.TIMING.URL_CHANGE_DELAY_MS);
-      }
+  static getCurrentVideoId() {
+    if (WatchPageAnnotator.isShortsPage()) return Utils.extractVideoId(location.href);
+    if (location.pathname !== '/watch') return null;
+    return Utils.sanitizeVideoId(new URLSearchParams(location.search).get('v'));
+  }
+
+  async update(attempt = 0) {
+    if (this.isDestroyed) return;
+    // ページ遷移で呼ばれた場合は、前のページでの再試行を止める
+    clearTimeout(this.retryTimer);
+    
+    // 再生ページから離れたり別の動画に移ったりした場合は、前の動画の日付を外す
+    const videoId = WatchPageAnnotator.getCurrentVideoId();
+    document.querySelectorAll(CONFIG.SELECTORS.WATCH_DATE).forEach(element => {
+      if (element.dataset.videoId !== videoId) element.remove();
     });
+    if (!videoId || document.querySelector(CONFIG.SELECTORS.WATCH_DATE)) return;
+    
+    // 概要欄はページ遷移の後に描画されるため、見つかるまで待つ
+    const info = document.querySelector(
+      WatchPageAnnotator.isShortsPage() ? CONFIG.SELECTORS.SHORTS_INFO : CONFIG.SELECTORS.WATCH_INFO
+    );
+    if (!info) {
+      if (attempt < CONFIG.WATCH_RETRY_ATTEMPTS) {
+        this.retryTimer = setTimeout(() => this.update(attempt + 1), CONFIG.TIMING.RETRY_DELAY_MS);
+      }
+      return;
+    }
+    
+    const videoDetails = await this.api.fetchVideoDetails(videoId);
+    // 取得中に別の動画へ移動していたら破棄する
+    if (this.isDestroyed || WatchPageAnnotator.getCurrentVideoId() !== videoId) return;
+    
+    const dateInfo = Utils.describeVideoDate(videoDetails, Utils.dateFormatter.withTime());
+    if (!dateInfo) return;
     
-    this.observer.observe(document, { subtree: true, childList: true });
+    document.querySelectorAll(CONFIG.SELECTORS.WATCH_DATE).forEach(element => element.remove());
+    
+    const span = document.createElement('span');
+    span.className = `absolute-date ytdd-watch-date is-${dateInfo.kind}`;
+    span.dataset.videoId = videoId;
+    span.textContent = dateInfo.text;
+    span.title = dateInfo.tooltip;
+    info.appendChild(span);
   }
 
   cleanup() {
-    this.observer?.disconnect();
+    this.isDestroyed = true;
+    clearTimeout(this.retryTimer);
+    document.querySelectorAll(CONFIG.SELECTORS.WATCH_DATE).forEach(element => element.remove());
   }
 }
 
-class YouTubeDateDisplay {
-  constructor() {
-    this.api = new YouTubeAPI();
-    this.domManager = new DOMManager();
-    this.hoverHandlers = new Map();
-    this.isInitialized = false;
-    this.initialize();
+// コメント・返信の相対時刻（「2年前（編集済み）」）の後ろに、実際の投稿日時を表示する
+// コメントIDは相対時刻のリンク（/watch?v=…&lc=コメントID）から読み取る。取得にはAPIキーが必要
+class CommentDateAnnotator {
+  constructor(api, { displayTrigger = 'hover', overlayMode = 'append' } = {}) {
+    this.api = api;
+    this.displayTrigger = displayTrigger;
+    this.overlayMode = overlayMode;
+    this.controller = new AbortController();
+    this.observer = null;
+    this.observedComments = new WeakSet();
+    this.pendingLinks = new Set(); // 常時表示モードで次にまとめて取得するリンク
+    this.flushTimer = null;
+    this.hoverTimer = null;
+    this.setup();
   }
 
-  async initialize() {
+  get isDestroyed() {
+    return this.controller.signal.aborted;
+  }
+
+  static getCommentId(link) {
     try {
-      await this.api.initializeSettings();
-      
-      if (!this.api.apiKey) {
-        console.warn('[YTDate] APIキーが設定されていません');
-        return;
-      }
-      
-      this.setupEventListeners();
-      this.processExistingElements();
-      this.isInitialized = true;
-      
-      console.log('[YTDate] Extension initialized successfully');
+      const commentId = new URL(link.href).searchParams.get('lc');
+      return SHARED_CONFIG.COMMENT_ID_PATTERN.test(commentId) ? commentId : null;
     } catch (error) {
-      console.error('[YTDate] Initialization error:', error);
+      return null;
     }
   }
 
-  setupEventListeners() {
-    this.domManager.setupIntersectionObserver((container) => {
-      this.domManager.processNewElements(container, (element) => {
-        this.attachHoverHandler(element);
-      });
-    });
+  setup() {
+    if (this.displayTrigger === 'always') {
+      this.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+          if (!entry.isIntersecting) return;
+          this.observer.unobserve(entry.target);
+          const link = entry.target.querySelector(CONFIG.SELECTORS.COMMENT_TIME);
+          if (link) this.pendingLinks.add(link);
+        });
+        // 画面に入ったコメントはまとめて1回で取得する
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), CONFIG.TIMING.DEBOUNCE_DELAY_MS);
+      }, { rootMargin: '200px', threshold: 0 });
+      return;
+    }
     
-    this.domManager.setupMutationObserver(() => {
-      this.processExistingElements();
-    });
+    // ホバーとフォーカスは、動画と同じくドキュメントの1組のリスナーで受ける
+    const options = { signal: this.controller.signal, passive: true };
+    const onEnter = (event) => {
+      const link = event.target instanceof Element ? event.target.closest(CONFIG.SELECTORS.COMMENT_TIME) : null;
+      if (!link || link.contains(event.relatedTarget)) return;
+      clearTimeout(this.hoverTimer);
+      this.hoverTimer = setTimeout(() => this.annotate([link]), CONFIG.TIMING.HOVER_DELAY_MS);
+    };
+    const onLeave = (event) => {
+      const link = event.target instanceof Element ? event.target.closest(CONFIG.SELECTORS.COMMENT_TIME) : null;
+      if (link && !link.contains(event.relatedTarget)) clearTimeout(this.hoverTimer);
+    };
+    document.addEventListener('pointerover', onEnter, options);
+    document.addEventListener('pointerout', onLeave, options);
+    document.addEventListener('focusin', onEnter, options);
+    document.addEventListener('focusout', onLeave, options);
   }
 
-  processExistingElements() {
-    const containers = document.querySelectorAll(CONFIG.SELECTORS.CONTAINERS.join(', '));
-    containers.forEach(container => {
-      this.domManager.processNewElements(container, (element) => {
-        this.attachHoverHandler(element);
+  // 常時表示モード用：追加された要素（要素自身を含む）の中のコメントが画面に入るのを待つ
+  observe(elements) {
+    if (!this.observer) return;
+    
+    elements.forEach(element => {
+      const comments = element.matches?.(CONFIG.SELECTORS.COMMENTS) ?
+        [element] :
+        element.querySelectorAll?.(CONFIG.SELECTORS.COMMENTS) || [];
+      comments.forEach(comment => {
+        if (this.observedComments.has(comment)) return;
+        this.observedComments.add(comment);
+        this.observer.observe(comment);
       });
     });
   }
 
-  attachHoverHandler(element) {
-    if (!element || this.hoverHandlers.has(element)) return;
+  flush() {
+    const links = [...this.pendingLinks].filter(link => link.isConnected);
+    this.pendingLinks.clear();
+    if (links.length > 0) this.annotate(links);
+  }
+
+  async annotate(links) {
+    if (this.isDestroyed) return;
+    
+    // 表示済みのものは除く（YouTubeが要素を別のコメントに使い回した場合は付け直す）
+    const targets = new Map(); // リンク → コメントID
+    links.forEach(link => {
+      const commentId = CommentDateAnnotator.getCommentId(link);
+      if (!commentId || link.dataset.ytddCommentId === commentId) return;
+      CommentDateAnnotator.removeAnnotation(link);
+      link.dataset.ytddCommentId = commentId;
+      targets.set(link, commentId);
+    });
+    if (targets.size === 0) return;
+    
+    const overlays = new Map();
+    targets.forEach((commentId, link) => {
+      const overlay = document.createElement('span');
+      overlay.className = 'ytdd-comment-date';
+      overlay.textContent = I18n.getMessage('overlayLoading');
+      link.after(overlay);
+      overlays.set(link, overlay);
+    });
     
-    const handler = new HoverHandler(element, this.api, this.api.isDebugMode);
-    this.hoverHandlers.set(element, handler);
+    const results = await this.api.fetchCommentDates([...new Set(targets.values())]);
+    if (this.isDestroyed) return;
     
-    element.addEventListener('mouseenter', () => handler.onMouseEnter());
-    element.addEventListener('mouseleave', () => handler.onMouseLeave());
+    targets.forEach((commentId, link) => {
+      const overlay = overlays.get(link);
+      const dates = results.get(commentId);
+      // 取得中に別のコメントに使い回された場合や、削除などで取得できなかった場合
+      if (!dates || link.dataset.ytddCommentId !== commentId) {
+        overlay.remove();
+        if (link.dataset.ytddCommentId === commentId) delete link.dataset.ytddCommentId;
+        return;
+      }
+      this.showDates(link, overlay, dates);
+    });
   }
 
-  cleanup() {
-    this.hoverHandlers.forEach(handler => handler.destroy());
-    this.hoverHandlers.clear();
+  showDates(link, overlay, { publishedAt, updatedAt }) {
+    const formatter = Utils.dateFormatter.withTime();
+    const published = formatter.format(publishedAt);
+    const updated = updatedAt && updatedAt !== publishedAt ? formatter.format(updatedAt) : null;
+    
+    const text = updated ? `${published} ${I18n.getMessage('commentEditedSuffix', updated)}` : published;
+    const tooltip = [
+      I18n.getMessage('commentPosted', published),
+      ...(updated ? [I18n.getMessage('commentEdited', updated)] : [])
+    ].join('\n');
+    
+    if (this.overlayMode === 'replace') {
+      // 相対時刻は隠し、ツールチップに残す
+      overlay.textContent = text;
+      overlay.title = `${link.textContent.trim()}\n${tooltip}`;
+      link.classList.add('ytdd-replaced-date');
+    } else if (this.overlayMode === 'tooltip') {
+      overlay.remove();
+      link.classList.add('ytdd-date-tooltip');
+      link.title = tooltip;
+    } else {
+      overlay.textContent = `• ${text}`;
+      overlay.title = tooltip;
+    }
+  }
+
+  static removeAnnotation(link) {
+    if (link.nextElementSibling?.matches(CONFIG.SELECTORS.COMMENT_DATE)) link.nextElementSibling.remove();
+    if (link.classList.contains('ytdd-date-tooltip')) link.removeAttribute('title');
+    link.classList.remove('ytdd-replaced-date', 'ytdd-date-tooltip');
+    delete link.dataset.ytddCommentId;
+  }
+
+  // ページ遷移時：リスナーは残したまま、前の動画のコメントに付けた日時と監視を外す
+  reset() {
+    clearTimeout(this.flushTimer);
+    clearTimeout(this.hoverTimer);
+    this.observer?.disconnect();
+    this.observedComments = new WeakSet();
+    this.pendingLinks.clear();
+    document.querySelectorAll('[data-ytdd-comment-id]').forEach(CommentDateAnnotator.removeAnnotation);
+    document.querySelectorAll(CONFIG.SELECTORS.COMMENT_DATE).forEach(element => element.remove());
+  }
+
+  cleanup() {
+    this.controller.abort();
+    this.reset();
+  }
+}
+
+// 配信のアーカイブの再生ページに、登録チャンネルの同じ時間帯の配信（別視点）を探すパネルを表示する
+class ConcurrentStreamsPanel {
+  constructor(api) {
+    this.api = api;
+    this.element = null;
+    this.video = null;
+    this.startTime = null;
+    this.streams = [];
+    this.retryTimer = null;
+    this.isDestroyed = false;
+    this.onTimeUpdate = Utils.throttle(() => this.updateSeekLinks(), 1000);
+  }
+
+  async update(attempt = 0) {
+    if (this.isDestroyed) return;
+    clearTimeout(this.retryTimer);
+    
+    // 再生ページから離れたり別の動画に移ったりした場合は、前の動画のパネルを外す
+    const videoId = WatchPageAnnotator.isShortsPage() ? null : WatchPageAnnotator.getCurrentVideoId();
+    if (this.element && this.element.dataset.videoId !== videoId) this.remove();
+    if (!videoId || this.element) return;
+    
+    const anchor = CONFIG.SELECTORS.CONCURRENT_PANEL_ANCHORS
+      .map(selector => document.querySelector(selector))
+      .find(Boolean);
+    if (!anchor) {
+      if (attempt < CONFIG.WATCH_RETRY_ATTEMPTS) {
+        this.retryTimer = setTimeout(() => this.update(attempt + 1), CONFIG.TIMING.RETRY_DELAY_MS);
+      }
+      return;
+    }
+    
+    const videoDetails = await this.api.fetchVideoDetails(videoId);
+    if (this.isDestroyed || WatchPageAnnotator.getCurrentVideoId() !== videoId) return;
+    
+    this.remove();
+    // 終わった配信のアーカイブだけが対象
+    if (!videoDetails?.liveStreaming?.actualEndTime) return;
+    
+    this.element = this.createPanel(videoId);
+    anchor.prepend(this.element);
+  }
+
+  createPanel(videoId) {
+    const panel = document.createElement('div');
+    panel.className = 'ytdd-concurrent-panel';
+    panel.dataset.videoId = videoId;
+    
+    const header = document.createElement('div');
+    header.className = 'ytdd-concurrent-panel__header';
+    const title = document.createElement('span');
+    title.className = 'ytdd-concurrent-panel__title';
+    title.textContent = I18n.getMessage('concurrentTitle');
+    const findButton = document.createElement('button');
+    findButton.type = 'button';
+    findButton.textContent = I18n.getMessage('concurrentFind');
+    findButton.addEventListener('click', () => this.find(videoId));
+    header.append(title, findButton);
+    
+    const status = document.createElement('div');
+    status.className = 'ytdd-concurrent-panel__status';
+    const list = document.createElement('ul');
+    list.className = 'ytdd-concurrent-panel__list';
+    
+    panel.append(header, status, list);
+    return panel;
+  }
+
+  // 登録チャンネルの数だけAPIを使うため、ボタンを押したときだけ探す
+  async find(videoId) {
+    const panel = this.element;
+    const button = panel.querySelector('button');
+    const status = panel.querySelector('.ytdd-concurrent-panel__status');
+    button.disabled = true;
+    status.textContent = I18n.getMessage('concurrentSearching');
+    
+    const { startTime, streams, error } = await this.api.findConcurrentStreams(videoId);
+    if (this.isDestroyed || this.element !== panel) return;
+    button.disabled = false;
+    
+    this.startTime = startTime;
+    this.streams = streams;
+    this.renderStreams();
+    
+    if (streams.length > 0) {
+      status.textContent = '';
+    } else if (error) {
+      status.textContent = I18n.getMessage(CONFIG.CONCURRENT_ERROR_MESSAGES[error] || 'concurrentFailed');
+    } else {
+      status.textContent = I18n.getMessage('concurrentNotFound');
+    }
+    
+    // 再生位置に合わせて、各配信の同じ場面へのリンクを更新する
+    this.video?.removeEventListener('timeupdate', this.onTimeUpdate);
+    this.video = streams.length > 0 ? document.querySelector(CONFIG.SELECTORS.MAIN_VIDEO) : null;
+    this.video?.addEventListener('timeupdate', this.onTimeUpdate);
+  }
+
+  renderStreams() {
+    const list = this.element.querySelector('.ytdd-concurrent-panel__list');
+    list.replaceChildren(...this.streams.map(stream => {
+      const item = document.createElement('li');
+      item.dataset.videoId = stream.videoId;
+      
+      const link = document.createElement('a');
+      link.className = 'ytdd-concurrent-panel__stream';
+      link.href = `https://www.youtube.com/watch?v=${stream.videoId}`;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = stream.title;
+      
+      const meta = document.createElement('div');
+      meta.className = 'ytdd-concurrent-panel__meta';
+      meta.textContent = [stream.channelTitle, this.describeOffset(stream)].filter(Boolean).join(' · ');
+      
+      const seekLink = document.createElement('a');
+      seekLink.className = 'ytdd-concurrent-panel__seek';
+      seekLink.target = '_blank';
+      seekLink.rel = 'noopener';
+      
+      item.append(link, meta, seekLink);
+      return item;
+    }));
+    this.updateSeekLinks();
+  }
+
+  // 再生中の配信の開始時刻との差
+  describeOffset(stream) {
+    const offset = Date.parse(stream.actualStartTime) - Date.parse(this.startTime);
+    if (Math.abs(offset) < 1000) return I18n.getMessage('concurrentOffsetSame');
+    return I18n.getMessage(offset > 0 ? 'concurrentOffsetLater' : 'concurrentOffsetEarlier', Utils.formatDuration(Math.abs(offset)));
+  }
+
+  // 今見ている場面と同じ時刻の位置へのリンクにする（配信の前後にずれる場合は先頭へ）
+  updateSeekLinks() {
+    if (!this.element) return;
+    
+    const currentMs = (document.querySelector(CONFIG.SELECTORS.MAIN_VIDEO)?.currentTime || 0) * 1000;
+    const moment = Date.parse(this.startTime) + currentMs;
+    
+    this.streams.forEach(stream => {
+      const seekLink = this.element.querySelector(`li[data-video-id="${stream.videoId}"] .ytdd-concurrent-panel__seek`);
+      if (!seekLink) return;
+      
+      const url = `https://www.youtube.com/watch?v=${stream.videoId}`;
+      const position = moment - Date.parse(stream.actualStartTime);
+      
+      if (position < 0) {
+        seekLink.href = url;
+        seekLink.textContent = I18n.getMessage('concurrentSeekNotStarted', Utils.formatDuration(-position));
+      } else if (moment > Date.parse(stream.actualEndTime)) {
+        seekLink.href = url;
+        seekLink.textContent = I18n.getMessage('concurrentSeekEnded');
+      } else {
+        seekLink.href = `${url}&t=${Math.floor(position / 1000)}s`;
+        seekLink.textContent = I18n.getMessage('concurrentSeek', Utils.formatDuration(position));
+      }
+    });
+  }
+
+  remove() {
+    this.video?.removeEventListener('timeupdate', this.onTimeUpdate);
+    this.video = null;
+    this.streams = [];
+    this.element = null;
+    document.querySelectorAll(CONFIG.SELECTORS.CONCURRENT_PANEL).forEach(element => element.remove());
+  }
+
+  cleanup() {
+    this.isDestroyed = true;
+    clearTimeout(this.retryTimer);
+    this.remove();
+  }
+}
+
+// 検索結果・チャンネルの動画一覧を、取得した投稿日で並べ替え・絞り込むツールバー
+// YouTube側の描画と衝突しないよう、DOMの順序は変えずに CSS の order と非表示用のクラスだけで見た目を変える
+class ResultSorter {
+  constructor(api) {
+    this.api = api;
+    this.toolbars = new Map(); // 並べ替える一覧の要素 → ツールバー
+    this.publishedAt = new Map(); // 動画ID → 投稿日時（ミリ秒）。取得できなかった動画は null
+    this.sortOrder = 'none';
+    this.range = { from: '', to: '' }; // <input type="date"> の値
+    this.applyTimer = null;
+    this.applyRun = 0;
+    this.dirtyLists = new Set(); // カードが追加され、次の apply で処理し直す一覧
+    this.isDestroyed = false;
+  }
+
+  static isSupportedPage() {
+    return CONFIG.SORT_TOOLBAR_SURFACES.includes(Utils.getCurrentSurface());
+  }
+
+  // 検索結果は続きの読み込みごとに ytd-item-section-renderer が増えるため、まとめている ytd-section-list-renderer 単位で扱う
+  static getListRoot(container) {
+    if (container.matches('ytd-rich-grid-renderer')) return container;
+    return container.closest('ytd-section-list-renderer') || container;
+  }
+
+  // 追加された要素を含む一覧（要素自身が一覧の場合や、一覧を含む場合も）
+  static findContainers(elements) {
+    const containers = new Set();
+    elements.forEach(element => {
+      const container = element.closest?.(CONFIG.SELECTORS.SORTABLE_CONTAINERS);
+      if (container) {
+        containers.add(container);
+      } else {
+        element.querySelectorAll?.(CONFIG.SELECTORS.SORTABLE_CONTAINERS).forEach(child => containers.add(child));
+      }
+    });
+    return containers;
+  }
+
+  static getCards(list) {
+    return Array.from(list.querySelectorAll(CONFIG.SELECTORS.SORTABLE_CARDS))
+      .filter(card => !card.parentElement.closest(CONFIG.SELECTORS.SHELVES));
+  }
+
+  static getVideoId(card) {
+    return Utils.extractVideoId(card.querySelector(CONFIG.SELECTORS.VIDEO_LINK)?.href);
+  }
+
+  isEngaged() {
+    return this.sortOrder !== 'none' || !!this.range.from || !!this.range.to;
+  }
+
+  isInRange(time) {
+    const from = this.range.from ? new Date(`${this.range.from}T00:00:00`).getTime() : -Infinity;
+    const to = this.range.to ? new Date(`${this.range.to}T23:59:59.999`).getTime() : Infinity;
+    return time >= from && time <= to;
+  }
+
+  // 一覧が追加・更新されるたびに呼ばれる（無限スクロールで増えたカードにも並べ替えを適用し直す）
+  // addedElements を渡した場合は、それを含む一覧だけを処理し直す（省略時はページ内のすべての一覧）
+  update(addedElements = null) {
+    if (this.isDestroyed || !ResultSorter.isSupportedPage()) return;
+    
+    const containers = addedElements ?
+      ResultSorter.findContainers(addedElements) :
+      document.querySelectorAll(CONFIG.SELECTORS.SORTABLE_CONTAINERS);
+    containers.forEach(container => {
+      // ページ遷移で非表示になった前のページの一覧は除く
+      if (container.closest('[hidden]')) return;
+      const root = ResultSorter.getListRoot(container);
+      const list = root.querySelector(':scope > #contents');
+      if (!list) return;
+      
+      if (!this.toolbars.has(list)) {
+        const toolbar = this.createToolbar();
+        root.before(toolbar);
+        this.toolbars.set(list, toolbar);
+      }
+      this.dirtyLists.add(list);
+    });
+    
+    if (this.dirtyLists.size > 0) this.scheduleApply();
+  }
+
+  createToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'ytdd-sort-toolbar';
+    toolbar.hidden = true;
+    
+    const createField = (labelKey, control) => {
+      const label = document.createElement('label');
+      label.append(I18n.getMessage(labelKey), control);
+      return label;
+    };
+    
+    const sortSelect = document.createElement('select');
+    sortSelect.name = 'sortOrder';
+    CONFIG.SORT_ORDERS.forEach(order => {
+      const option = document.createElement('option');
+      option.value = order;
+      option.textContent = I18n.getMessage(`sortOrder${order.charAt(0).toUpperCase()}${order.slice(1)}`);
+      sortSelect.appendChild(option);
+    });
+    
+    const fromInput = document.createElement('input');
+    fromInput.type = 'date';
+    fromInput.name = 'from';
+    const toInput = document.createElement('input');
+    toInput.type = 'date';
+    toInput.name = 'to';
+    
+    const clearButton = document.createElement('button');
+    clearButton.type = 'button';
+    clearButton.textContent = I18n.getMessage('sortClear');
+    
+    const status = document.createElement('span');
+    status.className = 'ytdd-sort-toolbar__status';
+    
+    toolbar.append(
+      createField('sortOrderLabel', sortSelect),
+      createField('sortFromLabel', fromInput),
+      createField('sortToLabel', toInput),
+      clearButton,
+      status
+    );
+    
+    toolbar.addEventListener('change', () => {
+      this.sortOrder = sortSelect.value;
+      this.range = { from: fromInput.value, to: toInput.value };
+      this.apply();
+    });
+    clearButton.addEventListener('click', () => {
+      this.sortOrder = 'none';
+      this.range = { from: '', to: '' };
+      this.apply();
+    });
+    
+    this.renderControls(toolbar);
+    return toolbar;
+  }
+
+  // ツールバーが複数ある場合も同じ状態を表示する
+  renderControls(toolbar) {
+    toolbar.querySelector('[name="sortOrder"]').value = this.sortOrder;
+    toolbar.querySelector('[name="from"]').value = this.range.from;
+    toolbar.querySelector('[name="to"]').value = this.range.to;
+  }
+
+  setStatus(toolbar, text) {
+    toolbar.querySelector('.ytdd-sort-toolbar__status').textContent = text;
+  }
+
+  scheduleApply() {
+    clearTimeout(this.applyTimer);
+    this.applyTimer = setTimeout(() => {
+      const lists = [...this.dirtyLists];
+      this.dirtyLists.clear();
+      this.apply(lists);
+    }, CONFIG.TIMING.DEBOUNCE_DELAY_MS);
+  }
+
+  // 並べ替えの条件が変わった場合はすべての一覧、カードが追加された場合はその一覧だけを処理する
+  async apply(lists = [...this.toolbars.keys()]) {
+    clearTimeout(this.applyTimer);
+    const run = ++this.applyRun;
+    
+    for (const [index, list] of lists.entries()) {
+      const toolbar = this.toolbars.get(list);
+      if (!toolbar) continue;
+      if (!list.isConnected) {
+        toolbar.remove();
+        this.toolbars.delete(list);
+        continue;
+      }
+      
+      this.renderControls(toolbar);
+      
+      // 並べ替えも絞り込みもしていない間は、カードを数え直したり元に戻したりしない
+      if (!this.isEngaged()) {
+        if (toolbar.hidden) toolbar.hidden = ResultSorter.getCards(list).length === 0;
+        if (list.classList.contains('ytdd-sorting')) {
+          this.reset(list);
+          this.setStatus(toolbar, '');
+        }
+        continue;
+      }
+      
+      const cards = ResultSorter.getCards(list);
+      toolbar.hidden = cards.length === 0;
+      await this.resolveDates(cards, toolbar);
+      if (this.isDestroyed) return;
+      // 取得中に条件が変わったり、続きが読み込まれたりした場合は、残りの一覧も新しい方の処理に任せる
+      if (run !== this.applyRun) {
+        lists.slice(index).filter(rest => this.toolbars.has(rest)).forEach(rest => this.dirtyLists.add(rest));
+        this.scheduleApply();
+        return;
+      }
+      this.arrange(list, cards, toolbar);
+    }
+  }
+
+  // まだ投稿日が分からない動画だけまとめて取得する
+  async resolveDates(cards, toolbar) {
+    const missing = [...new Set(cards.map(ResultSorter.getVideoId))]
+      .filter(videoId => videoId && !this.publishedAt.has(videoId));
+    if (missing.length === 0) return;
+    
+    this.setStatus(toolbar, I18n.getMessage('sortResolving', missing.length));
+    const results = await this.api.fetchVideoDetailsBatch(missing);
+    missing.forEach(videoId => {
+      const time = Date.parse(results.get(videoId)?.publishedAt);
+      this.publishedAt.set(videoId, isNaN(time) ? null : time);
+    });
+  }
+
+  arrange(list, cards, toolbar) {
+    list.classList.add('ytdd-sorting');
+    // 行や区切りの要素は display: contents にして、カードを一覧の直下にあるものとして並べ替える
+    cards.forEach(card => {
+      for (let node = card.parentElement; node && node !== list; node = node.parentElement) {
+        node.classList.add('ytdd-sort-flatten');
+      }
+    });
+    
+    const entries = cards.map((card, index) => ({
+      card,
+      index,
+      time: this.publishedAt.get(ResultSorter.getVideoId(card)) ?? null
+    }));
+    
+    // 日付が分からない動画は元の順のまま最後に回す
+    const sorted = this.sortOrder === 'none' ? entries : [...entries].sort((a, b) => {
+      if (a.time === null || b.time === null) {
+        return (a.time === null) - (b.time === null) || a.index - b.index;
+      }
+      const diff = this.sortOrder === 'oldest' ? a.time - b.time : b.time - a.time;
+      return diff || a.index - b.index;
+    });
+    
+    // 棚や見出しなどカード以外の要素（order: 0）はカードの後ろに回るよう、カードには負の値を振る
+    sorted.forEach((entry, position) => {
+      entry.card.style.order = String(position - sorted.length);
+    });
+    
+    let visibleCount = 0;
+    entries.forEach(({ card, time }) => {
+      const isFilteredOut = time !== null && !this.isInRange(time);
+      card.classList.toggle('ytdd-filtered-out', isFilteredOut);
+      if (!isFilteredOut) visibleCount++;
+    });
+    
+    this.setStatus(toolbar, I18n.getMessage('sortStatus', [cards.length, visibleCount]));
+  }
+
+  reset(list) {
+    list.classList.remove('ytdd-sorting');
+    list.querySelectorAll('.ytdd-sort-flatten').forEach(node => node.classList.remove('ytdd-sort-flatten'));
+    list.querySelectorAll('.ytdd-filtered-out').forEach(card => card.classList.remove('ytdd-filtered-out'));
+    list.querySelectorAll(CONFIG.SELECTORS.SORTABLE_CARDS).forEach(card => card.style.removeProperty('order'));
+  }
+
+  // ページ遷移のたびに呼ばれる。前のページの一覧は YouTube が非表示のまま残すことがあるため、
+  // 参照を持ち続けないよう元に戻して手放す（並べ替えの条件と取得済みの投稿日時は引き継ぐ）
+  detach() {
+    clearTimeout(this.applyTimer);
+    this.applyRun++;
+    this.dirtyLists.clear();
+    this.toolbars.forEach((toolbar, list) => {
+      this.reset(list);
+      toolbar.remove();
+    });
+    this.toolbars.clear();
+  }
+
+  cleanup() {
+    this.isDestroyed = true;
+    this.detach();
+  }
+}
+
+// YouTubeのページ内遷移を検知する
+// 新しいページの描画後に発行される yt-navigate-finish / yt-page-data-updated を使い、
+// これらが届かない場合に備えて popstate と Navigation API でもURLの変化を見る
+class NavigationObserver {
+  static YOUTUBE_EVENTS = ['yt-navigate-finish', 'yt-page-data-updated'];
+
+  constructor(onNavigate) {
+    this.onNavigate = onNavigate;
+    this.currentUrl = location.href;
+    this.hasYouTubeEvents = false;
+    this.timer = null;
+    this.titleObserver = null;
+    this.controller = new AbortController();
+    this.setupListeners();
+  }
+
+  setupListeners() {
+    const options = { signal: this.controller.signal };
+    
+    NavigationObserver.YOUTUBE_EVENTS.forEach(type => {
+      document.addEventListener(type, () => {
+        this.hasYouTubeEvents = true;
+        this.schedule(CONFIG.TIMING.DEBOUNCE_DELAY_MS);
+      }, options);
+    });
+    
+    // YouTubeのイベントが一度でも届いていれば、描画前に発行されるこちらは使わない
+    const onHistoryChange = () => {
+      if (!this.hasYouTubeEvents) this.schedule(CONFIG.TIMING.URL_CHANGE_DELAY_MS);
+    };
+    window.addEventListener('popstate', onHistoryChange, options);
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', onHistoryChange, options);
+    } else {
+      // Navigation API のない古いChromeでは pushState の遷移を検知できないため、
+      // 遷移のたびに書き換わるタイトルの変化を受けてURLを確かめる
+      this.titleObserver = new MutationObserver(() => {
+        if (location.href !== this.currentUrl) onHistoryChange();
+      });
+      this.titleObserver.observe(document.head, { childList: true, subtree: true, characterData: true });
+    }
+  }
+
+  // 1回の遷移で複数のイベントが届くため、まとめて1回だけ通知する
+  schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      // 最初の読み込み時のイベントなど、URLが変わっていない場合は何もしない
+      if (location.href === this.currentUrl) return;
+      this.currentUrl = location.href;
+      this.onNavigate();
+    }, delay);
+  }
+
+  cleanup() {
+    clearTimeout(this.timer);
+    this.titleObserver?.disconnect();
+    this.controller.abort();
+  }
+}
+
+class YouTubeDateDisplay {
+  constructor() {
+    this.api = new VideoDataClient();
+    this.domManager = new DOMManager();
+    this.watchPage = new WatchPageAnnotator(this.api);
+    this.resultSorter = new ResultSorter(this.api);
+    this.streamsPanel = new ConcurrentStreamsPanel(this.api);
+    // タイトル要素 → HoverHandler（最初にホバーされたときなどに作る。外れた要素ごと解放される）
+    this.hoverHandlers = new WeakMap();
+    this.handlerController = null;
+    this.commentDates = null;
+    this.ageFilterQueue = new Set(); // 日付をまとめて取得して絞り込むカード
+    this.ageFilterTimer = null;
+    this.displayTrigger = 'hover';
+    this.overlayMode = 'append';
+    this.ageStyler = null;
+    this.detailCard = null;
+    this.enabledSurfaces = Object.keys(SHARED_CONFIG.SURFACE_PATTERNS);
+    this.pausedKey = null;
+    this.isPaused = false;
+    this.isActive = false;
+    this.isInitialized = false;
+    this.isInitializing = false;
+    this.initialize();
+  }
+
+  async initialize() {
+    this.isInitializing = true;
+    try {
+      await I18n.initialize();
+      await this.api.initializeSettings();
+      
+      if (!this.api.canFetch) {
+        console.warn('[YTDate] APIキーが設定されていません');
+        return;
+      }
+      
+      const { displayTrigger, overlayMode, dateFormat, detailCard, enabledSurfaces, ageColors, ageFilter } = await chrome.storage.sync.get([
+        'displayTrigger', 'overlayMode', 'dateFormat', 'detailCard', 'enabledSurfaces', 'ageColors', 'ageFilter'
+      ]);
+      this.displayTrigger = displayTrigger === 'always' ? 'always' : 'hover';
+      this.overlayMode = CONFIG.OVERLAY_MODES.includes(overlayMode) ? overlayMode : 'append';
+      Utils.dateFormatter = new DateFormatter(dateFormat);
+      this.detailCard = detailCard?.enabled ? new DetailCard(detailCard.fields) : null;
+      this.ageStyler = ageColors?.enabled || ageFilter?.enabled ? new AgeStyler(ageColors, ageFilter) : null;
+      if (Array.isArray(enabledSurfaces)) this.enabledSurfaces = enabledSurfaces;
+      this.isPaused = await this.loadPausedState();
+      
+      this.isInitialized = true;
+      this.updateActivation();
+      
+      console.log('[YTDate] Extension initialized successfully');
+    } catch (error) {
+      console.error('[YTDate] Initialization error:', error);
+    } finally {
+      this.isInitializing = false;
+    }
+  }
+
+  // ページ遷移時：APIのキャッシュや読み込んだ設定はそのままで、新しいページの一覧に付け直す
+  // （YouTubeは前のページの要素を別の動画に使い回すため、表示済みの日付と要素ごとの状態は作り直す）
+  onNavigate() {
+    Utils.debugLog(this.api.isDebugMode, 'ページ遷移', { url: location.href });
+    
+    // APIキーがなく初期化を終えていない場合は、その後に設定されたかを確認し直す
+    if (!this.isInitialized) {
+      if (!this.isInitializing) this.initialize();
+      return;
+    }
+    
+    // 有効・無効が切り替わる場合だけ、すべてを止めたり始めたりする
+    if (!this.isActive || !this.shouldRun()) {
+      this.updateActivation();
+      return;
+    }
+    this.rebind();
+  }
+
+  // ドキュメントのリスナーや監視はページに依存しないためそのまま使い、ページごとの状態だけを作り直す
+  rebind() {
+    // 前のページのホバー中のタイマーや取得結果は無視する
+    this.handlerController?.abort();
+    this.handlerController = new AbortController();
+    this.hoverHandlers = new WeakMap();
+    this.detailCard?.hide();
+    
+    // YouTubeが別の動画に使い回したカードは日付を取り除き、常時表示モードでは表示し直す
+    HoverHandler.removeStaleAnnotations().forEach(card => {
+      if (this.displayTrigger === 'always') this.domManager.observeCard(card);
+    });
+    
+    // 絞り込みの対象はページの種類で変わるため、いったん外してカードを監視し直す
+    if (this.ageStyler?.filter) {
+      clearTimeout(this.ageFilterTimer);
+      this.ageFilterQueue.clear();
+      document.querySelectorAll('.ytdd-age-dimmed, .ytdd-age-hidden').forEach(card => {
+        card.classList.remove('ytdd-age-dimmed', 'ytdd-age-hidden');
+      });
+      this.domManager.resetProcessedElements();
+    }
+    this.commentDates?.reset();
+    this.resultSorter.detach();
+    
+    this.processExistingElements();
+    this.watchPage.update();
+    this.streamsPanel.update();
+  }
+
+  async loadPausedState() {
+    // コンテンツスクリプトは自分のタブIDを知らないため、バックグラウンドに問い合わせる
+    const tabId = await chrome.runtime.sendMessage({ action: 'getTabId' });
+    if (tabId == null) return false;
+    
+    this.pausedKey = `${SHARED_CONFIG.PAUSED_TAB_KEY_PREFIX}${tabId}`;
+    const result = await chrome.storage.session.get(this.pausedKey);
+    return result[this.pausedKey] === true;
+  }
+
+  shouldRun() {
+    const surface = Utils.getCurrentSurface();
+    return !this.isPaused && (!surface || this.enabledSurfaces.includes(surface));
+  }
+
+  // ページを読み込み直さずに、設定に合わせて処理を止めたり再開したりする
+  updateActivation() {
+    if (!this.isInitialized) return;
+    
+    const shouldRun = this.shouldRun();
+    Utils.debugLog(this.api.isDebugMode, '有効状態を更新', {
+      surface: Utils.getCurrentSurface(),
+      isPaused: this.isPaused,
+      shouldRun
+    });
+    
+    if (shouldRun && !this.isActive) {
+      this.resume();
+    } else if (!shouldRun && this.isActive) {
+      this.suspend();
+    }
+  }
+
+  onStorageChanged(changes, areaName) {
+    if (areaName === 'sync' && changes.enabledSurfaces) {
+      const enabledSurfaces = changes.enabledSurfaces.newValue;
+      this.enabledSurfaces = Array.isArray(enabledSurfaces) ? enabledSurfaces : Object.keys(SHARED_CONFIG.SURFACE_PATTERNS);
+    } else if (areaName === 'session' && this.pausedKey && changes[this.pausedKey]) {
+      this.isPaused = changes[this.pausedKey].newValue === true;
+    } else {
+      return;
+    }
+    this.updateActivation();
+  }
+
+  resume() {
+    if (this.resultSorter.isDestroyed) {
+      this.resultSorter = new ResultSorter(this.api);
+    }
+    this.setupEventListeners();
+    this.processExistingElements();
+    if (this.watchPage.isDestroyed) {
+      this.watchPage = new WatchPageAnnotator(this.api);
+    }
+    if (this.streamsPanel.isDestroyed) {
+      this.streamsPanel = new ConcurrentStreamsPanel(this.api);
+    }
+    this.watchPage.update();
+    this.streamsPanel.update();
+    this.isActive = true;
+  }
+
+  // ショートカットキーから：画面内に見えている動画の日付をまとめて表示する
+  revealVisibleDates() {
+    if (!this.isActive) return;
+    
+    document.querySelectorAll(DOMManager.CONTAINER_SELECTOR).forEach(container => {
+      container.querySelectorAll(CONFIG.SELECTORS.VIDEO_TITLE).forEach(title => {
+        const card = title.closest(DOMManager.VIDEO_ELEMENT_SELECTOR);
+        if (card && Utils.isInViewport(card)) {
+          this.getHoverHandler(title).annotate();
+        }
+      });
+    });
+  }
+
+  togglePause() {
+    if (!this.pausedKey) return;
+    
+    // 反映はストレージの変更通知（onStorageChanged）で行う
+    if (this.isPaused) {
+      chrome.storage.session.remove(this.pausedKey);
+    } else {
+      chrome.storage.session.set({ [this.pausedKey]: true });
+    }
+  }
+
+  // ポップアップの書き出し用：ページに読み込まれている動画を集め、日付が未取得のものはまとめて取得する
+  async collectVideos() {
+    const cards = new Map();
+    document.querySelectorAll(CONFIG.SELECTORS.VIDEO_ELEMENTS.join(', ')).forEach(card => {
+      // ページ遷移で非表示になった前のページのカードは除く
+      if (card.closest('[hidden]')) return;
+      const link = card.querySelector(CONFIG.SELECTORS.VIDEO_LINK);
+      const videoId = Utils.extractVideoId(link?.href);
+      if (!videoId || cards.has(videoId)) return;
+      cards.set(videoId, {
+        title: card.querySelector(CONFIG.SELECTORS.VIDEO_TITLE)?.textContent.trim() || '',
+        isShort: link.href.includes('/shorts/')
+      });
+    });
+    
+    const details = await this.api.fetchVideoDetailsBatch([...cards.keys()]);
+    return [...cards].map(([videoId, card]) => {
+      const video = details.get(videoId);
+      return {
+        videoId,
+        title: video?.title || card.title,
+        channel: video?.channelTitle || '',
+        url: card.isShort ? `https://www.youtube.com/shorts/${videoId}` : `https://www.youtube.com/watch?v=${videoId}`,
+        publishedAt: video?.publishedAt || null,
+        streamStartedAt: video?.liveStreaming?.actualStartTime || null
+      };
+    });
+  }
+
+  // 表示済みの日付も取り除く
+  suspend() {
+    this.stopProcessing();
+    this.watchPage.cleanup();
+    this.resultSorter.cleanup();
+    this.streamsPanel.cleanup();
+  }
+
+  setupEventListeners() {
+    // 処理を止めたときに、動作中のハンドラーのタイマーや取得結果をまとめて無効にする
+    this.handlerController = new AbortController();
+    
+    this.domManager.setupDelegatedListeners({
+      onEnter: (title) => this.getHoverHandler(title).onMouseEnter(),
+      onLeave: (title) => this.hoverHandlers.get(title)?.onMouseLeave()
+    });
+    
+    // コメントの日時はAPIでしか取得できないため、使えない場合は何もしない
+    if (this.api.canFetchComments) {
+      this.commentDates = new CommentDateAnnotator(this.api, {
+        displayTrigger: this.displayTrigger,
+        overlayMode: this.overlayMode
+      });
+    }
+    
+    this.domManager.setupMutationObserver((addedElements) => {
+      addedElements.forEach(element => this.processAddedElement(element));
+      this.commentDates?.observe(addedElements);
+      this.resultSorter.update(addedElements);
+    });
+    
+    // 経過時間での絞り込みはホバーを待たずに行うため、カードが画面に入るのを待つ
+    if (this.displayTrigger === 'always' || this.ageStyler?.filter) {
+      this.domManager.setupCardObserver((card) => this.onCardVisible(card));
+    }
+  }
+
+  // カードを画面に入る前から監視するかどうか（絞り込みは対象のページだけ）
+  shouldObserveCards() {
+    return this.displayTrigger === 'always' || !!this.ageStyler?.isFilteringSurface();
+  }
+
+  onCardVisible(card) {
+    // 常時表示モードで日付をまだ表示していないカードは、表示と同時に絞り込まれる
+    const needsFilter = this.displayTrigger !== 'always' || HoverHandler.isAnnotated(card);
+    if (this.displayTrigger === 'always') this.annotateCard(card);
+    if (needsFilter && this.ageStyler?.isFilteringSurface()) this.queueAgeFilter(card);
+  }
+
+  // 画面に入ったカードの日付をまとめて取得して絞り込む（日付の表示はホバーを待つ）
+  queueAgeFilter(card) {
+    this.ageFilterQueue.add(card);
+    clearTimeout(this.ageFilterTimer);
+    this.ageFilterTimer = setTimeout(() => this.applyAgeFilter(), CONFIG.TIMING.DEBOUNCE_DELAY_MS);
+  }
+
+  async applyAgeFilter() {
+    const signal = this.handlerController?.signal;
+    const videoIds = new Map(); // カード → 動画ID
+    this.ageFilterQueue.forEach(card => {
+      const videoId = card.isConnected && this.domManager.getVideoIdFromElement(card);
+      if (videoId) videoIds.set(card, videoId);
+    });
+    this.ageFilterQueue.clear();
+    if (videoIds.size === 0) return;
+    
+    // 1件ずつ要求しても、バックグラウンドでまとめて取得される
+    // （再生ページから取得する場合は1件ずつ時間がかかるため、取得できたものから反映する）
+    await Promise.all([...videoIds].map(async ([card, videoId]) => {
+      const details = await this.api.fetchVideoDetails(videoId);
+      // 取得中に処理が止められたかページを移動した場合
+      if (!signal || signal.aborted) return;
+      // 取得中に別の動画に使い回されたカードは除く
+      if (this.domManager.getVideoIdFromElement(card) === videoId) {
+        this.ageStyler.applyFilter(card, details);
+      }
+    }));
+  }
+
+  annotateCard(card, attempt = 0) {
+    // 再試行の待ち時間中に処理が止められた場合
+    if (!this.isActive) return;
+    
+    const titleElement = card.querySelector(CONFIG.SELECTORS.VIDEO_TITLE);
+    if (!titleElement || this.getHoverHandler(titleElement).annotate()) return;
+    
+    // メタデータ行の描画が遅れている場合は少し待って再試行
+    if (attempt < CONFIG.RETRY_ATTEMPTS) {
+      setTimeout(() => this.annotateCard(card, attempt + 1), CONFIG.TIMING.RETRY_DELAY_MS);
+    }
+  }
+
+  processExistingElements() {
+    document.querySelectorAll(DOMManager.CONTAINER_SELECTOR).forEach(container => this.processAddedElement(container));
+    this.commentDates?.observe(document.querySelectorAll(CONFIG.SELECTORS.COMMENTS));
+    this.resultSorter.update();
+  }
+
+  // ホバーはドキュメントのリスナーで受けるため、要素ごとの準備が必要なのは常時表示モードと絞り込みだけ
+  processAddedElement(element) {
+    if (!this.shouldObserveCards()) return;
+    
+    this.domManager.processNewElements(element, (title) => {
+      this.domManager.observeCard(title.closest(DOMManager.VIDEO_ELEMENT_SELECTOR));
+    });
+  }
+
+  getHoverHandler(element) {
+    let handler = this.hoverHandlers.get(element);
+    if (!handler) {
+      handler = new HoverHandler(element, this.api, {
+        debug: this.api.isDebugMode,
+        detailCard: this.detailCard,
+        overlayMode: this.overlayMode,
+        ageStyler: this.ageStyler,
+        signal: this.handlerController.signal
+      });
+      this.hoverHandlers.set(element, handler);
+    }
+    return handler;
+  }
+
+  stopProcessing() {
+    this.handlerController?.abort();
+    this.handlerController = null;
+    this.hoverHandlers = new WeakMap();
+    this.detailCard?.hide();
+    HoverHandler.removeAllAnnotations();
+    this.commentDates?.cleanup();
+    this.commentDates = null;
+    clearTimeout(this.ageFilterTimer);
+    this.ageFilterQueue.clear();
     this.domManager.cleanup();
+    this.isActive = false;
+  }
+
+  cleanup() {
+    this.stopProcessing();
+    this.resultSorter.cleanup();
+    this.streamsPanel.cleanup();
     this.isInitialized = false;
   }
 }
 
 class ExtensionManager {
   static instance = null;
-  static urlObserver = null;
+  static navigationObserver = null;
+  static storageListener = null;
 
   static initialize() {
     if (this.instance) {
@@ -664,24 +2155,29 @@ class ExtensionManager {
     
     this.instance = new YouTubeDateDisplay();
     
-    if (!this.urlObserver) {
-      this.urlObserver = new URLObserver();
+    if (!this.navigationObserver) {
+      this.navigationObserver = new NavigationObserver(() => this.instance?.onNavigate());
+    }
+    
+    if (!this.storageListener) {
+      this.storageListener = (changes, areaName) => this.instance?.onStorageChanged(changes, areaName);
+      chrome.storage.onChanged.addListener(this.storageListener);
     }
-  }
-
-  static reinitialize() { 
-    this.initialize(); 
   }
 
   static resetAPIKey() { 
-    return YouTubeAPI.resetAPIKey(); 
+    return VideoDataClient.resetAPIKey(); 
   }
 
   static cleanup() {
     this.instance?.cleanup();
-    this.urlObserver?.cleanup();
+    this.navigationObserver?.cleanup();
+    if (this.storageListener) {
+      chrome.storage.onChanged.removeListener(this.storageListener);
+    }
     this.instance = null;
-    this.urlObserver = null;
+    this.navigationObserver = null;
+    this.storageListener = null;
   }
 }
 
@@ -690,6 +2186,23 @@ if (typeof chrome !== 'undefined' && chrome.runtime) {
   chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'openOptions') {
       chrome.runtime.openOptionsPage();
+    } else if (request.action === 'revealVisibleDates') {
+      ExtensionManager.instance?.revealVisibleDates();
+    } else if (request.action === 'togglePause') {
+      ExtensionManager.instance?.togglePause();
+    } else if (request.action === 'collectVideos') {
+      const instance = ExtensionManager.instance;
+      if (!instance?.api.canFetch) {
+        sendResponse({ videos: [], error: 'noApiKey' });
+        return;
+      }
+      instance.collectVideos()
+        .then(videos => sendResponse({ videos, error: null }))
+        .catch(error => {
+          console.error('[YTDate] Failed to collect videos:', error);
+          sendResponse({ videos: [], error: 'collectFailed' });
+        });
+      return true;
     }
   });
 }
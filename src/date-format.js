@@ -0,0 +1,148 @@
+/*
+ date-format.js Copyright (C) 2025 tumin-dosu
+
+This program is free software; you can redistribute it and/or modify
+it under the terms of the GNU Lesser General Public License as published by
+the Free Software Foundation; version 3 of the License.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Lesser General Public License for more details.
+
+You should have received a copy of the GNU Lesser General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @file 日付の書式設定（content.js・options.js・popup.js で共有）
+ * @author tumin-dosu
+ * @contact : tumin_sfre@outlook.com
+ * Copyright 2025 tumin-dosu. All rights reserved.
+ */
+
+class DateFormatter {
+  static PRESETS = {
+    default: 'YYYY/MM/DD',
+    iso: null, // ISO 8601（タイムゾーンのオフセット付き）
+    localeLong: null, // 表示言語での長い表記
+    withTime: 'YYYY/MM/DD HH:mm',
+    withWeekday: 'YYYY/MM/DD (ddd)',
+    custom: null
+  };
+
+  static DEFAULT_SETTINGS = { preset: 'default', pattern: 'YYYY/MM/DD HH:mm', timeZone: '' };
+
+  // [...] で囲んだ部分はそのまま出力する
+  static TOKEN_PATTERN = /\[([^\]]*)]|YYYY|YY|MM|M|DD|D|dddd|ddd|HH|H|hh|h|mm|ss|A|Z|z/g;
+
+  constructor(settings = {}) {
+    const { preset, pattern, timeZone } = { ...DateFormatter.DEFAULT_SETTINGS, ...settings };
+    this.preset = preset in DateFormatter.PRESETS ? preset : 'default';
+    this.pattern = pattern || DateFormatter.DEFAULT_SETTINGS.pattern;
+    this.timeZone = DateFormatter.isValidTimeZone(timeZone) ? timeZone : undefined;
+    // 曜日・長い表記・タイムゾーン名は、オプションで選んだ表示言語（未設定ならブラウザの言語）に合わせる
+    this.locale = (typeof I18n !== 'undefined' && I18n.language) || navigator.language;
+  }
+
+  // 時刻を含まないプリセットの場合は、同じ書式に時刻を付け足したものを返す
+  withTime() {
+    const pattern = { default: 'YYYY/MM/DD HH:mm', withWeekday: 'YYYY/MM/DD (ddd) HH:mm' }[this.preset];
+    if (!pattern) return this;
+    return new DateFormatter({ preset: 'custom', pattern, timeZone: this.timeZone });
+  }
+
+  static isValidTimeZone(timeZone) {
+    if (!timeZone) return false;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  format(dateString) {
+    if (!dateString) return null;
+    try {
+      const date = new Date(dateString);
+      if (isNaN(date.getTime())) return null;
+
+      if (this.preset === 'iso') return this.formatISO(date);
+      if (this.preset === 'localeLong') {
+        return new Intl.DateTimeFormat(this.locale, {
+          dateStyle: 'long',
+          timeStyle: 'short',
+          timeZone: this.timeZone
+        }).format(date);
+      }
+
+      const pattern = this.preset === 'custom' ? this.pattern : DateFormatter.PRESETS[this.preset];
+      return this.formatPattern(date, pattern);
+    } catch (error) {
+      console.error('[YTDate] Date formatting error:', error);
+      return null;
+    }
+  }
+
+  getParts(date) {
+    const numeric = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timeZone,
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+    const parts = Object.fromEntries(numeric.map(({ type, value }) => [type, Number(value)]));
+
+    const weekday = (style) => new Intl.DateTimeFormat(this.locale, { timeZone: this.timeZone, weekday: style }).format(date);
+    const zoneName = new Intl.DateTimeFormat(this.locale, { timeZone: this.timeZone, timeZoneName: 'short' })
+      .formatToParts(date).find(({ type }) => type === 'timeZoneName')?.value || '';
+
+    // 選択したタイムゾーンでの表示時刻とUTCの差からオフセットを求める
+    const offsetMinutes = Math.round(
+      (Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - date.getTime()) / 60000
+    );
+
+    return { ...parts, weekdayShort: weekday('short'), weekdayLong: weekday('long'), zoneName, offsetMinutes };
+  }
+
+  static formatOffset(offsetMinutes) {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const abs = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  formatISO(date) {
+    return this.formatPattern(date, 'YYYY-MM-DD[T]HH:mm:ssZ');
+  }
+
+  formatPattern(date, pattern) {
+    const p = this.getParts(date);
+    const pad = (value) => String(value).padStart(2, '0');
+    const hour12 = p.hour % 12 || 12;
+
+    const tokens = {
+      YYYY: String(p.year),
+      YY: pad(p.year % 100),
+      MM: pad(p.month),
+      M: String(p.month),
+      DD: pad(p.day),
+      D: String(p.day),
+      dddd: p.weekdayLong,
+      ddd: p.weekdayShort,
+      HH: pad(p.hour),
+      H: String(p.hour),
+      hh: pad(hour12),
+      h: String(hour12),
+      mm: pad(p.minute),
+      ss: pad(p.second),
+      A: p.hour < 12 ? 'AM' : 'PM',
+      Z: DateFormatter.formatOffset(p.offsetMinutes),
+      z: p.zoneName
+    };
+
+    return pattern.replace(DateFormatter.TOKEN_PATTERN, (match, literal) => literal ?? tokens[match]);
+  }
+}
+
+/* Copyright 2025 tumin-dosu. All rights reserved. */
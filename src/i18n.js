@@ -0,0 +1,95 @@
+/*
+ i18n.js Copyright (C) 2025 tumin-dosu
+
+This program is free software; you can redistribute it and/or modify
+it under the terms of the GNU Lesser General Public License as published by
+the Free Software Foundation; version 3 of the License.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Lesser General Public License for more details.
+
+You should have received a copy of the GNU Lesser General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @file 表示文字列の多言語対応（content.js・options.js・popup.js で共有）
+ * @author tumin-dosu
+ * @contact : tumin_sfre@outlook.com
+ * Copyright 2025 tumin-dosu. All rights reserved.
+ */
+
+// 通常は chrome.i18n（ブラウザの表示言語）を使い、オプションで言語が指定されている場合だけ
+// _locales のメッセージを直接読み込んで使う（chrome.i18n は実行中に言語を切り替えられないため）
+class I18n {
+  static SUPPORTED_LANGUAGES = ['ja', 'en'];
+  static messages = null;
+  static language = null;
+
+  static async initialize() {
+    try {
+      const { uiLanguage } = await chrome.storage.sync.get(['uiLanguage']);
+      if (I18n.SUPPORTED_LANGUAGES.includes(uiLanguage)) {
+        I18n.messages = await I18n.loadCatalog(uiLanguage);
+        I18n.language = uiLanguage;
+      } else {
+        I18n.messages = null;
+        I18n.language = null;
+      }
+    } catch (error) {
+      console.error('[YTDate] Failed to load messages:', error);
+      I18n.messages = null;
+      I18n.language = null;
+    }
+  }
+
+  static async loadCatalog(language) {
+    // コンテンツスクリプトからは拡張機能内のファイルを読めないため、バックグラウンドに依頼する
+    if (location.protocol !== 'chrome-extension:') {
+      return chrome.runtime.sendMessage({ action: 'getLocaleMessages', language });
+    }
+    const response = await fetch(chrome.runtime.getURL(`_locales/${language}/messages.json`));
+    return response.json();
+  }
+
+  static getLanguage() {
+    if (I18n.language) return I18n.language;
+    const uiLanguage = chrome.i18n.getUILanguage().split('-')[0];
+    return I18n.SUPPORTED_LANGUAGES.includes(uiLanguage) ? uiLanguage : 'ja';
+  }
+
+  static getMessage(key, substitutions = []) {
+    const subs = [].concat(substitutions).map(String);
+    const entry = I18n.messages?.[key];
+    if (!entry) {
+      return chrome.i18n.getMessage(key, subs) || key;
+    }
+
+    // chrome.i18n と同じ規則で $NAME$ → $1 → 置換文字列の順に展開する
+    return entry.message
+      .replace(/\$([a-zA-Z0-9_@]+)\$/g, (match, name) => entry.placeholders?.[name.toLowerCase()]?.content ?? match)
+      .replace(/\$(\d)/g, (match, index) => subs[index - 1] ?? '');
+  }
+
+  // data-i18n 系の属性を持つ要素に文字列を流し込む
+  static localizePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = I18n.getMessage(element.dataset.i18n);
+    });
+    // 自前のメッセージファイルのリンクを含む文言のみ
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+      element.innerHTML = I18n.getMessage(element.dataset.i18nHtml);
+    });
+    root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      element.placeholder = I18n.getMessage(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll('[data-i18n-title]').forEach(element => {
+      element.title = I18n.getMessage(element.dataset.i18nTitle);
+    });
+    document.documentElement.lang = I18n.getLanguage();
+  }
+}
+
+/* Copyright 2025 tumin-dosu. All rights reserved. */
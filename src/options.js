@@ -20,85 +20,489 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.
  * @author tumin-dosu
  */
 
+const DATE_PREVIEW_SAMPLE = '2018-03-06T11:00:00Z';
+// 同時刻の配信を探すチャンネルの書き方（チャンネルID・@ハンドルとそれぞれのURL）。保存するのはIDか@ハンドルだけ
+const CHANNEL_ENTRY_PATTERNS = [
+  /^(?:https?:\/\/(?:www\.|m\.)?youtube\.com\/channel\/)?(UC[\w-]{22})(?:[/?].*)?$/,
+  /^(?:https?:\/\/(?:www\.|m\.)?youtube\.com\/)?(@[^/?\s]{3,30})(?:[/?].*)?$/
+];
+// 経過時間による色分けと古い動画の扱いの初期値（保存されていない場合 content.js ではどちらも無効）
+const DEFAULT_AGE_COLORS = {
+  enabled: false,
+  target: 'overlay',
+  bands: [
+    { value: 7, unit: 'days', color: '#2e7d32' },
+    { value: 1, unit: 'months', color: '#1565c0' },
+    { value: 1, unit: 'years', color: '#ef6c00' }
+  ],
+  olderColor: '#9e9e9e'
+};
+const DEFAULT_AGE_FILTER = { enabled: false, action: 'dim', value: 2, unit: 'years', surfaces: ['home', 'search', 'watch'] };
+// manifest.json の commands と表示名のメッセージの対応
+const SHORTCUT_MESSAGES = {
+  'reveal-visible-dates': 'commandRevealDates',
+  'toggle-pause': 'commandTogglePause'
+};
+
 class OptionsManager {
   constructor() {
-    this.apiKey = '';
+    this.apiKeys = [];
     this.isDebugMode = false;
     this.initializeElements();
+    this.populateTimeZones();
     this.loadSettings();
+    this.updateCacheStats();
+    this.updateShortcuts();
     this.bindEvents();
   }
 
   initializeElements() {
     this.elements = {
-      apiKey: document.getElementById('apiKey'),
-      toggleVisibility: document.getElementById('toggleVisibility'),
+      apiKeyList: document.getElementById('apiKeyList'),
+      addApiKeyBtn: document.getElementById('addApiKey'),
+      dataSource: document.getElementById('dataSource'),
       saveBtn: document.getElementById('save'),
       resetBtn: document.getElementById('reset'),
       status: document.getElementById('status'),
       enableDebug: document.getElementById('enableDebug'),
-      usageInfo: document.getElementById('usage-info')
+      uiLanguage: document.getElementById('uiLanguage'),
+      displayTrigger: document.getElementById('displayTrigger'),
+      overlayMode: document.getElementById('overlayMode'),
+      enabledSurfaces: document.querySelectorAll('input[name="enabledSurface"]'),
+      enableDetailCard: document.getElementById('enableDetailCard'),
+      detailFields: document.querySelectorAll('input[name="detailField"]'),
+      enableAgeColors: document.getElementById('enableAgeColors'),
+      ageColorSettings: document.getElementById('ageColorSettings'),
+      ageColorTarget: document.getElementById('ageColorTarget'),
+      ageBands: document.querySelectorAll('[data-age-band]'),
+      ageOlderColor: document.getElementById('ageOlderColor'),
+      enableAgeFilter: document.getElementById('enableAgeFilter'),
+      ageFilterSettings: document.getElementById('ageFilterSettings'),
+      ageFilterValue: document.getElementById('ageFilterValue'),
+      ageFilterUnit: document.getElementById('ageFilterUnit'),
+      ageFilterAction: document.getElementById('ageFilterAction'),
+      ageFilterSurfaces: document.querySelectorAll('input[name="ageFilterSurface"]'),
+      datePreset: document.getElementById('datePreset'),
+      datePattern: document.getElementById('datePattern'),
+      datePatternGroup: document.getElementById('datePatternGroup'),
+      dateTimeZone: document.getElementById('dateTimeZone'),
+      datePreview: document.getElementById('datePreview'),
+      usageInfo: document.getElementById('usage-info'),
+      quotaDailyLimit: document.getElementById('quotaDailyLimit'),
+      quotaSoftLimit: document.getElementById('quotaSoftLimit'),
+      concurrentChannels: document.getElementById('concurrentChannels'),
+      cacheTtlDays: document.getElementById('cacheTtlDays'),
+      cacheMaxEntries: document.getElementById('cacheMaxEntries'),
+      cacheStats: document.getElementById('cache-stats'),
+      shortcuts: document.getElementById('shortcuts'),
+      changeShortcutsBtn: document.getElementById('changeShortcuts'),
+      clearCacheBtn: document.getElementById('clearCache')
     };
+    // バックグラウンドが受け付ける件数までにする
+    this.elements.cacheMaxEntries.max = SHARED_CONFIG.CACHE.MAX_ENTRIES_LIMIT;
   }
 
   bindEvents() {
     this.elements.saveBtn.addEventListener('click', () => this.saveSettings());
     this.elements.resetBtn.addEventListener('click', () => this.resetSettings());
-    this.elements.toggleVisibility.addEventListener('click', () => this.togglePasswordVisibility());
+    this.elements.addApiKeyBtn.addEventListener('click', () => this.addApiKeyRow());
+    this.elements.apiKeyList.addEventListener('click', (event) => this.onApiKeyListClick(event));
     this.elements.enableDebug.addEventListener('change', () => this.toggleDebugMode());
-    this.elements.apiKey.addEventListener('input', () => this.clearStatus());
+    this.elements.apiKeyList.addEventListener('input', () => this.clearStatus());
+    this.elements.clearCacheBtn.addEventListener('click', () => this.clearCache());
+    this.elements.enableDetailCard.addEventListener('change', () => this.updateDetailFieldsState());
+    this.elements.enableAgeColors.addEventListener('change', () => this.updateAgeSettingsState());
+    this.elements.enableAgeFilter.addEventListener('change', () => this.updateAgeSettingsState());
+    this.elements.datePreset.addEventListener('change', () => this.updateDatePreview());
+    this.elements.datePattern.addEventListener('input', () => this.updateDatePreview());
+    this.elements.dateTimeZone.addEventListener('change', () => this.updateDatePreview());
+    // chrome://extensions/shortcuts は通常のリンクでは開けない
+    this.elements.changeShortcutsBtn.addEventListener('click', () => {
+      chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+    });
+    // ショートカットの設定画面から戻ってきたら表示を更新する
+    window.addEventListener('focus', () => this.updateShortcuts());
+  }
+
+  // 移行前の youtubeApiKey しかない場合は1件のリストとして扱う
+  static readApiKeys({ youtubeApiKeys, youtubeApiKey }) {
+    if (Array.isArray(youtubeApiKeys)) return youtubeApiKeys;
+    return youtubeApiKey ? [{ id: SHARED_CONFIG.LEGACY_API_KEY_ID, label: '', key: youtubeApiKey }] : [];
+  }
+
+  renderApiKeys(apiKeys) {
+    this.elements.apiKeyList.innerHTML = '';
+    apiKeys.forEach(apiKey => this.addApiKeyRow(apiKey));
+    if (apiKeys.length === 0) this.addApiKeyRow();
+  }
+
+  addApiKeyRow({ id, label = '', key = '' } = {}) {
+    const row = document.createElement('div');
+    row.className = 'input-group';
+    // 使用量はIDで記録するため、キーを書き換えてもIDは保つ
+    row.dataset.keyId = id || crypto.randomUUID();
+    row.innerHTML = `
+      <input type="text" class="api-key-label">
+      <input type="password" class="api-key-value">
+      <button type="button" class="toggle-visibility">-</button>
+      <button type="button" class="test-api-key secondary"></button>
+      <button type="button" class="remove-api-key">×</button>
+    `;
+    
+    const labelInput = row.querySelector('.api-key-label');
+    labelInput.value = label;
+    labelInput.placeholder = I18n.getMessage('optionsApiKeyLabelPlaceholder');
+    const keyInput = row.querySelector('.api-key-value');
+    keyInput.value = key;
+    keyInput.placeholder = I18n.getMessage('optionsApiKeyPlaceholder');
+    row.querySelector('.test-api-key').textContent = I18n.getMessage('optionsTestApiKey');
+    row.querySelector('.remove-api-key').title = I18n.getMessage('optionsRemoveApiKey');
+    
+    this.elements.apiKeyList.appendChild(row);
+  }
+
+  onApiKeyListClick(event) {
+    const row = event.target.closest('.input-group');
+    if (!row) return;
+    
+    if (event.target.closest('.toggle-visibility')) {
+      this.togglePasswordVisibility(row);
+    } else if (event.target.closest('.test-api-key')) {
+      this.testApiKey(row);
+    } else if (event.target.closest('.remove-api-key')) {
+      row.remove();
+      if (!this.elements.apiKeyList.hasChildNodes()) this.addApiKeyRow();
+      this.clearStatus();
+    }
+  }
+
+  // 実際にAPIを1回呼び出し（1ユニット消費）、結果をそのまま表示する
+  async testApiKey(row) {
+    const key = row.querySelector('.api-key-value').value.trim();
+    if (!key) {
+      this.showStatus(I18n.getMessage('statusApiKeyRequired'), 'error');
+      return;
+    }
+    
+    const name = row.querySelector('.api-key-label').value.trim() || `${key.slice(0, 8)}...`;
+    const button = row.querySelector('.test-api-key');
+    button.disabled = true;
+    this.showStatus(I18n.getMessage('statusTestingKey', name), 'info');
+    
+    try {
+      const result = await chrome.runtime.sendMessage({ action: 'testApiKey', key, keyId: row.dataset.keyId });
+      if (result?.ok) {
+        this.showStatus(I18n.getMessage('statusTestKeyOk', name), 'success');
+      } else {
+        this.showStatus(I18n.getMessage('statusTestKeyFailed', [name, OptionsManager.describeApiError(result)]), 'error');
+      }
+    } catch (error) {
+      this.showStatus(I18n.getMessage('statusTestKeyFailed', [name, error.message]), 'error');
+      console.error('API key test error:', error);
+    } finally {
+      button.disabled = false;
+      this.updateUsageInfo();
+    }
+  }
+
+  static describeApiError(result) {
+    const messages = SHARED_CONFIG.ERROR_MESSAGES[result?.error];
+    if (messages) {
+      return messages.map(key => I18n.getMessage(key)).join(' ');
+    }
+    return I18n.getMessage('statusTestKeyUnknown', result?.message || result?.error || '-');
+  }
+
+  getApiKeys() {
+    return Array.from(this.elements.apiKeyList.children)
+      .map(row => ({
+        id: row.dataset.keyId,
+        label: row.querySelector('.api-key-label').value.trim(),
+        key: row.querySelector('.api-key-value').value.trim()
+      }))
+      .filter(apiKey => apiKey.key);
+  }
+
+  populateTimeZones() {
+    const select = this.elements.dateTimeZone;
+    const timeZones = Intl.supportedValuesOf?.('timeZone') || [];
+    
+    timeZones.filter(timeZone => timeZone !== 'UTC').forEach(timeZone => {
+      const option = document.createElement('option');
+      option.value = timeZone;
+      option.textContent = timeZone;
+      select.appendChild(option);
+    });
+  }
+
+  getEnabledSurfaces() {
+    return Array.from(this.elements.enabledSurfaces).filter(input => input.checked).map(input => input.value);
+  }
+
+  applyEnabledSurfaces(enabledSurfaces) {
+    const surfaces = Array.isArray(enabledSurfaces) ? enabledSurfaces : Object.keys(SHARED_CONFIG.SURFACE_PATTERNS);
+    this.elements.enabledSurfaces.forEach(input => {
+      input.checked = surfaces.includes(input.value);
+    });
+  }
+
+  getDetailCardSettings() {
+    return {
+      enabled: this.elements.enableDetailCard.checked,
+      fields: Array.from(this.elements.detailFields).filter(input => input.checked).map(input => input.value)
+    };
+  }
+
+  applyDetailCardSettings(detailCard) {
+    const fields = detailCard?.fields || SHARED_CONFIG.DETAIL_FIELDS;
+    this.elements.enableDetailCard.checked = detailCard?.enabled || false;
+    this.elements.detailFields.forEach(input => {
+      input.checked = fields.includes(input.value);
+    });
+    this.updateDetailFieldsState();
+  }
+
+  updateDetailFieldsState() {
+    const enabled = this.elements.enableDetailCard.checked;
+    this.elements.detailFields.forEach(input => {
+      input.disabled = !enabled;
+    });
+  }
+
+  getAgeColorSettings() {
+    return {
+      enabled: this.elements.enableAgeColors.checked,
+      target: this.elements.ageColorTarget.value,
+      bands: Array.from(this.elements.ageBands).map(row => ({
+        value: parseInt(row.querySelector('[name="ageBandValue"]').value, 10),
+        unit: row.querySelector('[name="ageBandUnit"]').value,
+        color: row.querySelector('[name="ageBandColor"]').value
+      })),
+      olderColor: this.elements.ageOlderColor.value
+    };
+  }
+
+  getAgeFilterSettings() {
+    return {
+      enabled: this.elements.enableAgeFilter.checked,
+      action: this.elements.ageFilterAction.value,
+      value: parseInt(this.elements.ageFilterValue.value, 10),
+      unit: this.elements.ageFilterUnit.value,
+      surfaces: Array.from(this.elements.ageFilterSurfaces).filter(input => input.checked).map(input => input.value)
+    };
+  }
+
+  applyAgeSettings(ageColors, ageFilter) {
+    const colors = { ...DEFAULT_AGE_COLORS, ...ageColors };
+    this.elements.enableAgeColors.checked = colors.enabled;
+    this.elements.ageColorTarget.value = colors.target;
+    this.elements.ageBands.forEach((row, index) => {
+      const band = colors.bands[index] || DEFAULT_AGE_COLORS.bands[index];
+      row.querySelector('[name="ageBandValue"]').value = band.value;
+      row.querySelector('[name="ageBandUnit"]').value = band.unit;
+      row.querySelector('[name="ageBandColor"]').value = band.color;
+    });
+    this.elements.ageOlderColor.value = colors.olderColor;
+    
+    const filter = { ...DEFAULT_AGE_FILTER, ...ageFilter };
+    this.elements.enableAgeFilter.checked = filter.enabled;
+    this.elements.ageFilterValue.value = filter.value;
+    this.elements.ageFilterUnit.value = filter.unit;
+    this.elements.ageFilterAction.value = filter.action;
+    this.elements.ageFilterSurfaces.forEach(input => {
+      input.checked = filter.surfaces.includes(input.value);
+    });
+    this.updateAgeSettingsState();
+  }
+
+  updateAgeSettingsState() {
+    const setDisabled = (container, disabled) => {
+      container.querySelectorAll('input, select').forEach(control => {
+        control.disabled = disabled;
+      });
+    };
+    setDisabled(this.elements.ageColorSettings, !this.elements.enableAgeColors.checked);
+    setDisabled(this.elements.ageFilterSettings, !this.elements.enableAgeFilter.checked);
+  }
+
+  getDateFormatSettings() {
+    return {
+      preset: this.elements.datePreset.value,
+      pattern: this.elements.datePattern.value.trim(),
+      timeZone: this.elements.dateTimeZone.value
+    };
+  }
+
+  applyDateFormatSettings(dateFormat) {
+    const settings = { ...DateFormatter.DEFAULT_SETTINGS, ...dateFormat };
+    this.elements.datePreset.value = settings.preset;
+    this.elements.datePattern.value = settings.pattern;
+    this.elements.dateTimeZone.value = settings.timeZone;
+    this.updateDatePreview();
+  }
+
+  updateDatePreview() {
+    const settings = this.getDateFormatSettings();
+    const formatter = new DateFormatter(settings);
+    
+    this.elements.datePatternGroup.style.display = settings.preset === 'custom' ? '' : 'none';
+    this.elements.datePreview.textContent = 
+      I18n.getMessage('optionsPreviewNow', [formatter.format(DATE_PREVIEW_SAMPLE), formatter.format(new Date().toISOString())]);
+  }
+
+  static parseChannelEntry(line) {
+    return CHANNEL_ENTRY_PATTERNS.map(pattern => line.match(pattern)).find(Boolean)?.[1] || null;
+  }
+
+  // 1行に1チャンネル。空行と重複は無視する
+  getConcurrentChannels() {
+    const channels = [];
+    const invalid = [];
+    this.elements.concurrentChannels.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const channel = OptionsManager.parseChannelEntry(line);
+      if (!channel) {
+        invalid.push(line);
+      } else if (!channels.includes(channel)) {
+        channels.push(channel);
+      }
+    });
+    return { channels, invalid };
   }
 
   async loadSettings() {
     try {
-      const result = await chrome.storage.sync.get(['youtubeApiKey', 'debugMode']);
+      const result = await chrome.storage.sync.get([
+        'youtubeApiKeys', 'youtubeApiKey', 'dataSource', 'debugMode', 'cacheTtlDays', 'cacheMaxEntries', 'displayTrigger', 'overlayMode',
+        'quotaDailyLimit', 'quotaSoftLimit', 'dateFormat', 'detailCard', 'uiLanguage', 'enabledSurfaces', 'concurrentChannels',
+        'ageColors', 'ageFilter'
+      ]);
       
-      if (result.youtubeApiKey) {
-        this.apiKey = result.youtubeApiKey;
-        this.elements.apiKey.value = this.apiKey;
-        this.showStatus('APIキーが設定されています', 'success');
+      this.apiKeys = OptionsManager.readApiKeys(result);
+      this.renderApiKeys(this.apiKeys);
+      if (this.apiKeys.length > 0) {
+        this.showStatus(I18n.getMessage('statusApiKeySet'), 'success');
         this.updateUsageInfo();
       }
+      this.elements.dataSource.value = result.dataSource || 'auto';
       
       if (result.debugMode) {
         this.isDebugMode = result.debugMode;
         this.elements.enableDebug.checked = this.isDebugMode;
       }
+      
+      this.elements.uiLanguage.value = result.uiLanguage || '';
+      this.elements.displayTrigger.value = result.displayTrigger || 'hover';
+      this.elements.overlayMode.value = result.overlayMode || 'append';
+      this.applyEnabledSurfaces(result.enabledSurfaces);
+      this.applyDetailCardSettings(result.detailCard);
+      this.applyAgeSettings(result.ageColors, result.ageFilter);
+      this.applyDateFormatSettings(result.dateFormat);
+      this.elements.concurrentChannels.value = (result.concurrentChannels || []).join('\n');
+      this.elements.cacheTtlDays.value = result.cacheTtlDays || SHARED_CONFIG.CACHE.DEFAULT_TTL_DAYS;
+      this.elements.cacheMaxEntries.value = result.cacheMaxEntries || SHARED_CONFIG.CACHE.DEFAULT_MAX_ENTRIES;
+      this.elements.quotaDailyLimit.value = result.quotaDailyLimit || SHARED_CONFIG.QUOTA.DAILY_LIMIT;
+      this.elements.quotaSoftLimit.value = result.quotaSoftLimit || SHARED_CONFIG.QUOTA.DEFAULT_SOFT_LIMIT;
     } catch (error) {
-      this.showStatus('設定の読み込みに失敗しました', 'error');
+      this.showStatus(I18n.getMessage('statusLoadFailed'), 'error');
       console.error('Settings load error:', error);
     }
   }
 
   async saveSettings() {
-    const apiKey = this.elements.apiKey.value.trim();
+    const apiKeys = this.getApiKeys();
+    const dataSource = this.elements.dataSource.value;
     
-    if (!apiKey) {
-      this.showStatus('APIキーを入力してください', 'error');
+    // ページから取得できる設定ならAPIキーは必須ではない
+    if (apiKeys.length === 0 && dataSource === 'api') {
+      this.showStatus(I18n.getMessage('statusApiKeyRequired'), 'error');
+      return;
+    }
+
+    if (new Set(apiKeys.map(({ key }) => key)).size !== apiKeys.length) {
+      this.showStatus(I18n.getMessage('statusApiKeyDuplicate'), 'error');
+      return;
+    }
+
+    const cacheTtlDays = parseInt(this.elements.cacheTtlDays.value, 10);
+    const cacheMaxEntries = parseInt(this.elements.cacheMaxEntries.value, 10);
+    // 件数の上限は保存領域に収まる範囲（入力欄の max）まで
+    if (!(cacheTtlDays >= 1) || !(cacheMaxEntries >= 100) || cacheMaxEntries > Number(this.elements.cacheMaxEntries.max)) {
+      this.showStatus(I18n.getMessage('statusCacheInvalid'), 'error');
       return;
     }
 
-    if (!this.validateAPIKey(apiKey)) {
-      this.showStatus('APIキーの形式が正しくありません', 'error');
+    const quotaDailyLimit = parseInt(this.elements.quotaDailyLimit.value, 10);
+    const quotaSoftLimit = parseInt(this.elements.quotaSoftLimit.value, 10);
+    if (!(quotaDailyLimit >= 1) || !(quotaSoftLimit >= 1) || quotaSoftLimit > quotaDailyLimit) {
+      this.showStatus(I18n.getMessage('statusQuotaInvalid'), 'error');
+      return;
+    }
+
+    const detailCard = this.getDetailCardSettings();
+    if (detailCard.enabled && detailCard.fields.length === 0) {
+      this.showStatus(I18n.getMessage('statusDetailFieldsRequired'), 'error');
+      return;
+    }
+
+    const ageColors = this.getAgeColorSettings();
+    const ageFilter = this.getAgeFilterSettings();
+    if ((ageColors.enabled && !ageColors.bands.every(band => band.value >= 1)) || (ageFilter.enabled && !(ageFilter.value >= 1))) {
+      this.showStatus(I18n.getMessage('statusAgeInvalid'), 'error');
+      return;
+    }
+
+    const dateFormat = this.getDateFormatSettings();
+    if (dateFormat.preset === 'custom' && !dateFormat.pattern) {
+      this.showStatus(I18n.getMessage('statusDatePatternRequired'), 'error');
+      return;
+    }
+
+    const { channels: concurrentChannels, invalid: invalidChannels } = this.getConcurrentChannels();
+    if (invalidChannels.length > 0) {
+      this.showStatus(I18n.getMessage('statusConcurrentChannelsInvalid', invalidChannels[0]), 'error');
       return;
     }
 
     try {
-      this.showStatus('保存中...', 'info');
+      this.showStatus(I18n.getMessage('statusSaving'), 'info');
+      
+      const uiLanguage = this.elements.uiLanguage.value;
+      const isLanguageChanged = uiLanguage !== (I18n.language || '');
       
       await chrome.storage.sync.set({
-        youtubeApiKey: apiKey,
-        debugMode: this.elements.enableDebug.checked
+        youtubeApiKeys: apiKeys,
+        dataSource,
+        uiLanguage,
+        debugMode: this.elements.enableDebug.checked,
+        displayTrigger: this.elements.displayTrigger.value,
+        overlayMode: this.elements.overlayMode.value,
+        enabledSurfaces: this.getEnabledSurfaces(),
+        dateFormat,
+        detailCard,
+        ageColors,
+        ageFilter,
+        concurrentChannels,
+        cacheTtlDays,
+        cacheMaxEntries,
+        quotaDailyLimit,
+        quotaSoftLimit
       });
+      await chrome.storage.sync.remove('youtubeApiKey');
       
-      this.apiKey = apiKey;
+      this.apiKeys = apiKeys;
       this.isDebugMode = this.elements.enableDebug.checked;
       
-      this.showStatus('設定を保存しました', 'success');
+      // 言語を切り替えた場合はページを読み込み直して反映する
+      if (isLanguageChanged) {
+        location.reload();
+        return;
+      }
+      
+      this.showStatus(I18n.getMessage('statusSaved'), 'success');
       this.updateUsageInfo();
       
     } catch (error) {
-      this.showStatus('保存に失敗しました', 'error');
+      this.showStatus(I18n.getMessage('statusSaveFailed'), 'error');
       console.error('Save error:', error);
     }
   }
@@ -106,30 +510,99 @@ class OptionsManager {
 
 
   async resetSettings() {
-    if (!confirm('すべての設定をリセットしますか？この操作は取り消せません。')) {
+    if (!confirm(I18n.getMessage('confirmReset'))) {
       return;
     }
 
     try {
       await chrome.storage.sync.clear();
       
-      this.elements.apiKey.value = '';
+      // 表示言語もブラウザの設定に戻るため読み込み直す
+      if (I18n.language) {
+        location.reload();
+        return;
+      }
+      
+      this.renderApiKeys([]);
+      this.elements.dataSource.value = 'auto';
       this.elements.enableDebug.checked = false;
-      this.apiKey = '';
+      this.elements.displayTrigger.value = 'hover';
+      this.elements.overlayMode.value = 'append';
+      this.applyEnabledSurfaces(null);
+      this.applyDetailCardSettings(null);
+      this.applyAgeSettings(null, null);
+      this.applyDateFormatSettings(DateFormatter.DEFAULT_SETTINGS);
+      this.elements.concurrentChannels.value = '';
+      this.elements.cacheTtlDays.value = SHARED_CONFIG.CACHE.DEFAULT_TTL_DAYS;
+      this.elements.cacheMaxEntries.value = SHARED_CONFIG.CACHE.DEFAULT_MAX_ENTRIES;
+      this.elements.quotaDailyLimit.value = SHARED_CONFIG.QUOTA.DAILY_LIMIT;
+      this.elements.quotaSoftLimit.value = SHARED_CONFIG.QUOTA.DEFAULT_SOFT_LIMIT;
+      this.apiKeys = [];
       this.isDebugMode = false;
       
-      this.showStatus('設定をリセットしました', 'success');
+      this.showStatus(I18n.getMessage('statusResetDone'), 'success');
       this.updateUsageInfo();
       
     } catch (error) {
-      this.showStatus('リセットに失敗しました', 'error');
+      this.showStatus(I18n.getMessage('statusResetFailed'), 'error');
       console.error('Reset error:', error);
     }
   }
 
-  togglePasswordVisibility() {
-    const input = this.elements.apiKey;
-    const button = this.elements.toggleVisibility;
+  async updateCacheStats() {
+    const stats = this.elements.cacheStats;
+    
+    try {
+      const { entries, bytes } = await chrome.runtime.sendMessage({ action: 'getCacheStats' });
+      
+      stats.innerHTML = `
+        <p><strong>${I18n.getMessage('optionsCacheEntries')}</strong> ${I18n.getMessage('optionsCacheEntriesValue', entries.toLocaleString())}</p>
+        <p><strong>${I18n.getMessage('optionsCacheSize')}</strong> ${(bytes / 1024).toFixed(1)} KB</p>
+      `;
+    } catch (error) {
+      stats.innerHTML = `<p>${I18n.getMessage('optionsCacheStatsError')}</p>`;
+      console.error('Cache stats error:', error);
+    }
+  }
+
+  async updateShortcuts() {
+    try {
+      const commands = await chrome.commands.getAll();
+      
+      this.elements.shortcuts.innerHTML = '';
+      commands.filter(command => SHORTCUT_MESSAGES[command.name]).forEach(command => {
+        const row = document.createElement('p');
+        const label = document.createElement('strong');
+        label.textContent = I18n.getMessage(SHORTCUT_MESSAGES[command.name]);
+        const key = document.createElement('kbd');
+        key.textContent = command.shortcut || I18n.getMessage('optionsShortcutUnassigned');
+        row.append(label, ' ', key);
+        this.elements.shortcuts.appendChild(row);
+      });
+    } catch (error) {
+      console.error('Shortcuts load error:', error);
+    }
+  }
+
+  async clearCache() {
+    if (!confirm(I18n.getMessage('confirmClearCache'))) {
+      return;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearCache' });
+      
+      this.showStatus(I18n.getMessage('statusCacheCleared'), 'success');
+      this.updateCacheStats();
+    } catch (error) {
+      this.showStatus(I18n.getMessage('statusCacheClearFailed'), 'error');
+      console.error('Cache clear error:', error);
+    }
+  }
+
+  togglePasswordVisibility(row) {
+    const input = row.querySelector('.api-key-value');
+    const button = row.querySelector('.toggle-visibility');
     
     if (input.type === 'password') {
       input.type = 'text';
@@ -144,11 +617,6 @@ class OptionsManager {
     this.isDebugMode = this.elements.enableDebug.checked;
   }
 
-  validateAPIKey(apiKey) {
-    // 基本的なAPIキー形式チェック
-    return apiKey.length >= 20 && /^[A-Za-z0-9_-]+$/.test(apiKey);
-  }
-
   showStatus(message, type) {
     const status = this.elements.status;
     status.textContent = message;
@@ -165,23 +633,90 @@ class OptionsManager {
     this.elements.status.className = 'status';
   }
 
-  updateUsageInfo() {
+  async updateUsageInfo() {
     const info = this.elements.usageInfo;
     
-    if (this.apiKey) {
-      info.innerHTML = `
-        <p><strong>APIキー:</strong> 設定済み (${this.apiKey.slice(0, 8)}...)</p>
-        <p><strong>デバッグモード:</strong> ${this.isDebugMode ? '有効' : '無効'}</p>
-        <p><strong>使用制限:</strong> 1日あたり10,000リクエスト</p>
-        <p><small>※ 制限に達した場合は翌日まで待つか、Google Cloud Consoleで制限を増やしてください</small></p>
+    if (this.apiKeys.length === 0) {
+      info.innerHTML = `<p>${I18n.getMessage('usageNoApiKey')}</p>`;
+      return;
+    }
+    
+    let quotaHtml = `<p><strong>${I18n.getMessage('usageToday')}</strong> ${I18n.getMessage('usageUnavailable')}</p>`;
+    try {
+      const usage = await chrome.runtime.sendMessage({ action: 'getQuotaUsage' });
+      const percent = Math.min(100, (usage.total / usage.dailyLimit) * 100);
+      const level = usage.exhausted || usage.total >= usage.softLimit ? 'danger' : percent >= 70 ? 'warning' : '';
+      const endpoints = Object.entries(usage.endpoints)
+        .map(([endpoint, units]) => `${endpoint}: ${units.toLocaleString()}`)
+        .join(' / ') || I18n.getMessage('usageNone');
+      
+      quotaHtml = `
+        <p><strong>${I18n.getMessage('usageToday')}</strong> ${I18n.getMessage('usageTodayValue', [
+          usage.total.toLocaleString(), usage.dailyLimit.toLocaleString(), usage.softLimit.toLocaleString()
+        ])}</p>
+        <div class="usage-bar"><div class="usage-bar-fill ${level}" style="width: ${percent}%"></div></div>
+        <p><small>${I18n.getMessage('usageBreakdown', endpoints)}</small></p>
+        ${this.renderKeyStatus(usage.keys)}
+        <p><small>${I18n.getMessage('usageNextReset', new Date(usage.resetAt).toLocaleString())}${usage.exhausted ? I18n.getMessage('usageExhausted') : ''}</small></p>
       `;
-    } else {
-      info.innerHTML = '<p>APIキーが設定されていません</p>';
+    } catch (error) {
+      console.error('Quota usage error:', error);
     }
+    
+    info.innerHTML = `
+      <p><strong>${I18n.getMessage('usageApiKeys')}</strong> ${I18n.getMessage('usageApiKeysValue', this.apiKeys.length)}</p>
+      <p><strong>${I18n.getMessage('usageDebugMode')}</strong> ${I18n.getMessage(this.isDebugMode ? 'usageEnabled' : 'usageDisabled')}</p>
+      ${quotaHtml}
+      <p><small>${I18n.getMessage('usageHint')}</small></p>
+    `;
+  }
+
+  // キーごとの使用量と状態（ラベルがなければキーの先頭を表示する）
+  renderKeyStatus(keys) {
+    const rows = keys.map(({ id, label, total, status }) => {
+      const apiKey = this.apiKeys.find(item => item.id === id);
+      const name = label || `${apiKey?.key.slice(0, 8) || id}...`;
+      const statusKey = {
+        available: 'keyStatusAvailable',
+        softLimited: 'keyStatusSoftLimited',
+        exhausted: 'keyStatusExhausted',
+        // 使えなかったキー（キーを変更するか、テストに成功するまで使わない）
+        keyInvalid: 'keyStatusKeyInvalid',
+        accessNotConfigured: 'keyStatusAccessNotConfigured',
+        ipRefererBlocked: 'keyStatusIpRefererBlocked',
+        forbidden: 'keyStatusForbidden'
+      }[status];
+      return `
+        <tr>
+          <td>${OptionsManager.escapeHTML(name)}</td>
+          <td>${total.toLocaleString()}</td>
+          <td class="is-${status}">${I18n.getMessage(statusKey)}</td>
+        </tr>
+      `;
+    }).join('');
+    
+    return `
+      <table class="key-status">
+        <tr>
+          <th>${I18n.getMessage('usageKeyColumnKey')}</th>
+          <th>${I18n.getMessage('usageKeyColumnUsed')}</th>
+          <th>${I18n.getMessage('usageKeyColumnStatus')}</th>
+        </tr>
+        ${rows}
+      </table>
+    `;
+  }
+
+  static escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
   }
 }
 
 // ページ読み込み時に初期化
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  await I18n.initialize();
+  I18n.localizePage();
   new OptionsManager();
 });
\ No newline at end of file
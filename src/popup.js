@@ -24,20 +24,149 @@ along with this program.  If not, see <https://www.gnu.org/licenses/>.
  * Copyright 2025 tumin-dosu. All rights reserved.
  */
 
+const EXPORT_COLUMNS = ['videoId', 'title', 'channel', 'url', 'publishedAt', 'streamStartedAt'];
+
+function toCsv(videos) {
+  // タイトルなどが = + - @ やタブ・改行（CR）で始まると、表計算ソフトで開いたときに数式として実行されるため ' を付ける
+  const escape = (value) => {
+    const text = String(value ?? '');
+    return `"${(/^[=+\-@\t\r]/.test(text) ? `'${text}` : text).replace(/"/g, '""')}"`;
+  };
+  const rows = videos.map(video => EXPORT_COLUMNS.map(column => escape(video[column])).join(','));
+  // Excel で開いたときに文字化けしないよう BOM を付ける
+  return '\uFEFF' + [EXPORT_COLUMNS.join(','), ...rows].join('\r\n');
+}
+
+function toMarkdown(videos, formatter) {
+  const escape = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+  const header = ['exportColumnDate', 'exportColumnTitle', 'exportColumnChannel', 'exportColumnStreamStart']
+    .map(key => I18n.getMessage(key));
+  const rows = videos.map(video => [
+    formatter.format(video.publishedAt) || '',
+    `[${escape(video.title)}](${video.url})`,
+    escape(video.channel),
+    formatter.format(video.streamStartedAt) || ''
+  ]);
+  return [header, header.map(() => '---'), ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n');
+}
+
+function downloadFile(content, type, extension) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `youtube-videos-${new Date().toISOString().slice(0, 19).replace(/[-:T]/g, '')}.${extension}`;
+  link.click();
+  // すぐに破棄するとダウンロードが始まる前に取り消されることがある
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 document.addEventListener('DOMContentLoaded', async () => {
   const status = document.getElementById('status');
+  const usage = document.getElementById('usage');
+  const pauseStatus = document.getElementById('pauseStatus');
+  const togglePauseBtn = document.getElementById('togglePause');
   const openOptionsBtn = document.getElementById('openOptions');
   
+  await I18n.initialize();
+  I18n.localizePage();
+  
   // 設定状態を確認
-  const result = await chrome.storage.sync.get(['youtubeApiKey']);
+  const result = await chrome.storage.sync.get(['youtubeApiKeys', 'youtubeApiKey', 'dataSource']);
   
-  if (result.youtubeApiKey) {
-    status.innerHTML = '<div class="status success">✅ 設定完了</div>';
+  if (result.youtubeApiKeys?.length > 0 || result.youtubeApiKey) {
+    status.innerHTML = `<div class="status success">${I18n.getMessage('popupConfigured')}</div>`;
+    
+    // 本日のクォータ使用量を表示
+    try {
+      const quota = await chrome.runtime.sendMessage({ action: 'getQuotaUsage' });
+      const percent = Math.min(100, (quota.total / quota.dailyLimit) * 100);
+      const level = quota.exhausted || quota.total >= quota.softLimit ? 'danger' : percent >= 70 ? 'warning' : '';
+      usage.innerHTML = `
+        ${I18n.getMessage('popupUsageToday', [quota.total.toLocaleString(), quota.dailyLimit.toLocaleString()])}
+        <div class="usage-bar"><div class="usage-bar-fill ${level}" style="width: ${percent}%"></div></div>
+      `;
+    } catch (error) {
+      console.error('Quota usage error:', error);
+    }
+  } else if (result.dataSource !== 'api') {
+    // APIキーがなくても再生ページのデータから取得する
+    status.innerHTML = `<div class="status success">${I18n.getMessage('popupPageDataOnly')}</div>`;
   } else {
-    status.innerHTML = '<div class="status error">❌ APIキーが未設定</div>';
+    status.innerHTML = `<div class="status error">${I18n.getMessage('popupApiKeyMissing')}</div>`;
   }
   
-  // 設定ページを開く
+  // 表示中のタブだけ一時停止する（タブを閉じるまで有効。コンテンツスクリプトがストレージの変更を受けてすぐ反映する）
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const pausedKey = `${SHARED_CONFIG.PAUSED_TAB_KEY_PREFIX}${tab?.id}`;
+  let isPaused = (await chrome.storage.session.get(pausedKey))[pausedKey] === true;
+  
+  const renderPauseState = () => {
+    pauseStatus.textContent = isPaused ? I18n.getMessage('popupTabPaused') : '';
+    togglePauseBtn.textContent = I18n.getMessage(isPaused ? 'popupResumeTab' : 'popupPauseTab');
+  };
+  renderPauseState();
+  togglePauseBtn.disabled = !tab?.id;
+  
+  togglePauseBtn.addEventListener('click', async () => {
+    isPaused = !isPaused;
+    if (isPaused) {
+      await chrome.storage.session.set({ [pausedKey]: true });
+    } else {
+      await chrome.storage.session.remove(pausedKey);
+    }
+    renderPauseState();
+  });
+  
+  // 表示中のタブに読み込まれている動画を書き出す（日付が未取得の動画はコンテンツスクリプトがまとめて取得する）
+  const exportStatus = document.getElementById('exportStatus');
+  const exportButtons = document.querySelectorAll('.export-buttons button');
+  
+  const collectVideos = async () => {
+    exportButtons.forEach(button => { button.disabled = true; });
+    exportStatus.textContent = I18n.getMessage('popupExportCollecting');
+    try {
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'collectVideos' });
+      if (response?.error) {
+        exportStatus.textContent = I18n.getMessage(response.error === 'noApiKey' ? 'popupApiKeyMissing' : 'popupExportFailed');
+        return null;
+      }
+      if (!response?.videos?.length) {
+        exportStatus.textContent = I18n.getMessage('popupExportEmpty');
+        return null;
+      }
+      return response.videos;
+    } catch (error) {
+      // YouTube以外のタブにはコンテンツスクリプトがない
+      exportStatus.textContent = I18n.getMessage('popupExportUnavailable');
+      return null;
+    } finally {
+      exportButtons.forEach(button => { button.disabled = false; });
+    }
+  };
+  
+  document.getElementById('exportCsv').addEventListener('click', async () => {
+    const videos = await collectVideos();
+    if (!videos) return;
+    downloadFile(toCsv(videos), 'text/csv;charset=utf-8', 'csv');
+    exportStatus.textContent = I18n.getMessage('popupExportDone', videos.length);
+  });
+  
+  document.getElementById('exportJson').addEventListener('click', async () => {
+    const videos = await collectVideos();
+    if (!videos) return;
+    downloadFile(JSON.stringify(videos, null, 2), 'application/json', 'json');
+    exportStatus.textContent = I18n.getMessage('popupExportDone', videos.length);
+  });
+  
+  document.getElementById('copyMarkdown').addEventListener('click', async () => {
+    const videos = await collectVideos();
+    if (!videos) return;
+    const { dateFormat } = await chrome.storage.sync.get(['dateFormat']);
+    await navigator.clipboard.writeText(toMarkdown(videos, new DateFormatter(dateFormat)));
+    exportStatus.textContent = I18n.getMessage('popupExportCopied', videos.length);
+  });
+  
+  // 設定を開く
   openOptionsBtn.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
   });
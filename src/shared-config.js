@@ -0,0 +1,66 @@
+/*
+ shared-config.js Copyright (C) 2025 tumin-dosu
+
+This program is free software; you can redistribute it and/or modify
+it under the terms of the GNU Lesser General Public License as published by
+the Free Software Foundation; version 3 of the License.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Lesser General Public License for more details.
+
+You should have received a copy of the GNU Lesser General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+/**
+ * @file 複数のスクリプトで同じ値を使う設定（background.js・content.js・options.js・popup.js で共有）
+ * @author tumin-dosu
+ * @contact : tumin_sfre@outlook.com
+ * Copyright 2025 tumin-dosu. All rights reserved.
+ */
+
+const SHARED_CONFIG = {
+  CACHE: {
+    DEFAULT_TTL_DAYS: 30,
+    DEFAULT_MAX_ENTRIES: 5000,
+    // storage.local は10MBまで。1件は1〜2KBのため、タグの多い動画ばかりでも収まる件数に制限する
+    MAX_ENTRIES_LIMIT: 8000
+  },
+  QUOTA: {
+    DAILY_LIMIT: 10000,
+    DEFAULT_SOFT_LIMIT: 9000
+  },
+  // 単一キー時代の youtubeApiKey を移行したときのID
+  LEGACY_API_KEY_ID: 'legacy',
+  // バックグラウンドから返るエラーごとの表示（[本文, 補足] のメッセージ名）。ここにないエラーは表示しない
+  // content.js はトーストに、options.js はキーのテスト結果に使う
+  ERROR_MESSAGES: {
+    quotaExceeded: ['toastQuotaExceeded', 'toastQuotaExceededHint'],
+    softLimitReached: ['toastSoftLimit', 'toastSoftLimitHint'],
+    rateLimited: ['toastRateLimited', 'toastRateLimitedHint'],
+    keyInvalid: ['toastKeyInvalid', 'toastKeyInvalidHint'],
+    accessNotConfigured: ['toastAccessNotConfigured', 'toastAccessNotConfiguredHint'],
+    ipRefererBlocked: ['toastIpRefererBlocked', 'toastIpRefererBlockedHint'],
+    forbidden: ['toastForbidden', 'toastForbiddenHint'],
+    badRequest: ['toastBadRequest', 'toastBadRequestHint'],
+    offline: ['toastOffline', 'toastOfflineHint']
+  },
+  // オプションでページの種類ごとに有効・無効を切り替えられる（どれにも当たらないページは常に有効）
+  SURFACE_PATTERNS: {
+    home: /^\/$/,
+    search: /^\/results/,
+    watch: /^\/watch/,
+    shorts: /^\/shorts\//,
+    channel: /^\/(?:channel\/|c\/|@)/,
+    playlist: /^\/playlist/,
+    feed: /^\/feed\//
+  },
+  // 詳細情報カードに表示する項目の初期値
+  DETAIL_FIELDS: ['publishedAt', 'duration', 'viewCount', 'likeCount', 'commentCount', 'category', 'language', 'tags'],
+  // コメントID（返信のIDは「親コメントのID.返信のID」の形）
+  COMMENT_ID_PATTERN: /^[\w-]{10,}(\.[\w-]{10,})?$/,
+  // タブごとの一時停止状態（ポップアップから chrome.storage.session に保存される）
+  PAUSED_TAB_KEY_PREFIX: 'pausedTab:'
+};
@@ -0,0 +1,125 @@
+/* bench-content.js
+Copyright (C) 2025 tumin-dosu
+
+This program is free software; you can redistribute it and/or modify
+it under the terms of the GNU Lesser General Public License as published by
+the Free Software Foundation; either version 3 of the License, or
+(at your option) any later version.
+
+This program is distributed in the hope that it will be useful,
+but WITHOUT ANY WARRANTY; without even the implied warranty of
+MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+GNU Lesser General Public License for more details.
+
+You should have received a copy of the GNU Lesser General Public License
+along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+// 検索結果ページでのコンテンツスクリプトの CPU 時間と、処理後も残るヒープの量を jsdom で測る
+// 使い方: node --expose-gc tools/bench-content.js [ソースのディレクトリ|none] [回数] [1回あたりの読み込み数]
+//   jsdom が必要（npm install --no-save jsdom など）。none を指定すると拡張機能を読み込まずに測る
+//   既定値（src 10 10）では 20件ずつ 10回読み込んだ検索結果を 10回入れ替え、各カードに一度ずつカーソルを合わせる
+const { JSDOM } = require('jsdom');
+const fs = require('fs');
+const path = require('path');
+
+const [dir = path.join(__dirname, '..', 'src'), ROUNDS = 10, PAGES = 10] = process.argv.slice(2);
+const CARDS = 20;
+const SCRIPTS = ['shared-config.js', 'i18n.js', 'date-format.js', 'content.js'];
+
+const dom = new JSDOM(
+  '<!DOCTYPE html><body><ytd-search><ytd-section-list-renderer><div id="contents"></div></ytd-section-list-renderer></ytd-search></body>',
+  { url: 'https://www.youtube.com/results?search_query=x', runScripts: 'outside-only', pretendToBeVisual: true }
+);
+const w = dom.window;
+w.IntersectionObserver = class { observe() {} unobserve() {} disconnect() {} };
+
+// バックグラウンドの代わりに、すべての動画に同じ投稿日時を返す
+w.chrome = {
+  runtime: {
+    onMessage: { addListener() {} },
+    sendMessage: async message => {
+      switch (message.action) {
+        case 'getStatus':
+          return { canFetch: true, canFetchComments: true };
+        case 'getTabId':
+          return 1;
+        case 'getVideoDetails':
+          return {
+            results: Object.fromEntries(message.videoIds.map(id => [id, { publishedAt: '2020-01-01T00:00:00Z' }])),
+            error: null
+          };
+        default:
+          return null;
+      }
+    }
+  },
+  storage: {
+    sync: { get: async () => ({ displayTrigger: 'hover' }) },
+    session: { get: async () => ({}) },
+    onChanged: { addListener() {}, removeListener() {} }
+  },
+  i18n: { getMessage: key => key, getUILanguage: () => 'ja' }
+};
+
+if (dir !== 'none') {
+  w.eval(SCRIPTS.filter(file => fs.existsSync(path.join(dir, file)))
+    .map(file => fs.readFileSync(path.join(dir, file), 'utf8')).join('\n'));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const list = w.document.querySelector('#contents');
+let sequence = 0;
+
+const createPage = () => {
+  let html = '<ytd-item-section-renderer><div id="contents">';
+  for (let i = 0; i < CARDS; i++) {
+    const id = String(sequence++).padStart(11, '0');
+    html += `<ytd-video-renderer><a id="video-title" href="https://www.youtube.com/watch?v=${id}">Video ${id}</a>` +
+      '<div id="metadata-line"><span>1 view</span><span>1 year ago</span></div></ytd-video-renderer>';
+  }
+  return `${html}</div></ytd-item-section-renderer>`;
+};
+
+const measureHeap = () => {
+  global.gc();
+  w.eval('0');
+  global.gc();
+  return process.memoryUsage().heapUsed;
+};
+
+(async () => {
+  await sleep(300);
+  const heapStart = measureHeap();
+  const cpuStart = process.cpuUsage();
+
+  for (let round = 0; round < ROUNDS; round++) {
+    for (let page = 0; page < PAGES; page++) {
+      list.insertAdjacentHTML('beforeend', createPage());
+      await sleep(0);
+      // 追加された動画に一度ずつカーソルを合わせて離す
+      for (const title of list.lastElementChild.querySelectorAll('#video-title')) {
+        for (const type of ['mouseenter', 'pointerover']) {
+          title.dispatchEvent(new w.MouseEvent(type, { bubbles: type === 'pointerover' }));
+        }
+        for (const type of ['mouseleave', 'pointerout']) {
+          title.dispatchEvent(new w.MouseEvent(type, { bubbles: type === 'pointerout' }));
+        }
+      }
+    }
+    await sleep(350); // 並べ替えツールバーの debounce を待つ
+    list.replaceChildren(); // 検索し直して結果が入れ替わる
+    await sleep(0);
+  }
+  await sleep(400);
+
+  const cpu = process.cpuUsage(cpuStart);
+  const heapEnd = measureHeap();
+  console.log(JSON.stringify({
+    dir,
+    cards: sequence,
+    cpuMs: Math.round((cpu.user + cpu.system) / 1000),
+    retainedKB: Math.round((heapEnd - heapStart) / 1024)
+  }));
+  process.exit(0);
+})();